@@ -4,10 +4,35 @@ FILE: soundboard.js
 PURPOSE: AAC Sound Board logic — per-group boards with selectable colors, per-group Kit Editor, per-pad sampling & mic record, optional per-pad image, sentence builder (single track) with scenes & story chain, save/load (incl. sentences & images).
 Features:
 - Per-group JSON export/import from Kit Editor (plus full-kit save).
+- Exports are .aackit bundles (zip: manifest.json + audio/*.wav, images/*.png); imports accept bundles and legacy JSON.
+- Open Board Format: import .obf/.obz boards as groups (links become "Open board" pads); export a group as .obf or the kit as .obz.
+- Board linking: "Open board" pads show another group (optionally hiding their own), with Back/Home and return-after-one-pick.
+- Command pads: speak sentence, clear sentence, backspace, go to scene, start story chain and stop all, chosen in the Kit Editor's Mode select.
 - Recorded audio saved/restored via base64 WAV.
+- Audio storage per kit: 16-bit WAV, IMA-ADPCM or the original recording/file, optional mono and resample; encoding and decoding run in a Web Worker.
 - Quick Phrase (Vocabulary → Pad) mapping, with delete.
 - Draggable, resizable group windows; drag clamped only to top-left.
 - Window size (width/height) persisted in kits so resized boards keep their size on import.
+- Versioned kit/group files: older formats are migrated step by step, fields are whitelisted and checked, and problems are listed in the status pill.
+- Choke groups: pads sharing a choke number cut each other off with a short release fade.
+- Kit Editor sound design (filter, envelope, tuning) applied live, with per-pad audition.
+- Non-destructive trim (waveform start/end markers, auto-trim silence) and fade in/out per pad.
+- Web MIDI input: note-on plays mapped pads with velocity, CC drives Stop All / Play / Stop; MIDI learn saved per kit.
+- Computer-keyboard key map (pads of the focused board, transport, scenes), rebindable and saved per kit.
+- Switch scanning (auto-scan or step/select) over boards, rows, pads and sentence actions, with optional cues.
+- WPM pacing for sentence playback (TTS rate + word slots), optional time-stretch of samples, per-scene WPM.
+- Speech settings: voice, language, rate, pitch, volume, with per-pad voice/language overrides.
+- Sentence grammar (per kit): pads carry part of speech and word forms; the transcript and TTS add "to" and a/an, plurals and third-person -s, leaving recorded words as recorded.
+- Speak-to-sample: render a pad's phrase to stored audio through pluggable synthesizer backends.
+- Sentence API (window.MED_SENTENCE): add/insert/remove/move tokens; on-screen keyboard words are TTS tokens in the same sentence.
+- Word prediction in the keyboard: candidates ranked by prefix, usage count and previous word (bigrams learned from the sentence).
+- Vocabulary manager: search, categories/tags, CSV or text import/export with duplicate handling, and generate a group from a category.
+- Arrange pads: drag to swap or move pads within and across groups; sentence, scene and MIDI references follow the pad.
+- Stable pad ids: sentence and scene words follow their pad through moves, resizes and imports; words whose pad is gone show as missing.
+- Undo/redo (toolbar and Ctrl+Z / Ctrl+Shift+Z) for group, pad and sentence edits, with a memory cap on replaced audio.
+- Session autosave to IndexedDB a moment after each edit, with "Restore last session" offered at boot.
+- Kit library stores audio and images once each as content-hashed Blobs; kit records hold metadata only, so listing kits stays fast.
+- Render WAV: mix the sentence (or the Story Mode chain) offline to a downloadable WAV; TTS-only words are listed as skipped.
 Created by Scott Russo.
 */
 (function(){
@@ -17,8 +42,10 @@ Created by Scott Russo.
   const $  = (s, r=document) => r.querySelector(s);
   const $$ = (s, r=document) => Array.from(r.querySelectorAll(s));
   const statusEl = $('#status');
+  let statusAt   = 0;
 
   function status(msg){
+    statusAt = Date.now();
     if (statusEl) statusEl.textContent = msg;
   }
 
@@ -27,6 +54,20 @@ Created by Scott Russo.
     status(`error@${where}: ${(err && err.message) ? err.message : String(err)}`);
   }
 
+  // For text that goes into innerHTML templates (names, tags, imported settings).
+  function escHtml(s){
+    return String(s).replace(/[&<>"]/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[m]));
+  }
+
+  // Save a Blob through a temporary link; the URL is revoked once the download has started.
+  function downloadBlob(blob, name){
+    const a    = document.createElement('a');
+    a.href     = URL.createObjectURL(blob);
+    a.download = name;
+    a.click();
+    setTimeout(()=> URL.revokeObjectURL(a.href), 10000);
+  }
+
   window.addEventListener('error', e => report('window', e.error || e.message));
   window.addEventListener('unhandledrejection', e => report('promise', e.reason));
 
@@ -42,33 +83,262 @@ Created by Scott Russo.
   }
 
   // ---- TTS helper (used for sentence play and pad-press fallback) ----
-  function ttsSpeak(text, gapMs){
+  // opts: {rate, voice, lang}. rate defaults to the WPM-derived pace; the global
+  // speech settings (App.tts) scale rate and supply pitch, volume and voice.
+  // Resolves false if the utterance failed or other speech cancelled it.
+  function ttsSpeak(text, gapMs, opts={}){
     return new Promise((res)=>{
       if (!('speechSynthesis' in window)){ res(); return; }
       const s = (text || '').trim();
       if (!s){ res(); return; }
       try{ window.speechSynthesis.cancel(); }catch(_){}
       const utt = new SpeechSynthesisUtterance(s);
-      utt.rate = 1.0;
-      utt.pitch = 1.0;
-      utt.onend = ()=> setTimeout(res, Math.max(0, Number(gapMs) || 0));
-      try{ window.speechSynthesis.speak(utt); }catch(_){ res(); }
+      const base = (typeof opts.rate === 'number') ? opts.rate : ttsRateForWpm(currentWpm());
+      utt.rate   = Math.max(0.1, Math.min(10, base * App.tts.rate));
+      utt.pitch  = Math.max(0, Math.min(2, App.tts.pitch));
+      utt.volume = Math.max(0, Math.min(1, App.tts.volume));
+      const {voice, lang} = resolveTtsVoice(opts);
+      if (voice) utt.voice = voice;
+      if (lang) utt.lang = lang;
+      utt.onend   = ()=> setTimeout(()=> res(true), Math.max(0, Number(gapMs) || 0));
+      utt.onerror = ()=> res(false);      // failed, or cancelled by other speech
+      try{ window.speechSynthesis.speak(utt); }catch(_){ res(false); }
     });
   }
 
-  /* Local vocabulary (shared key with keyboard) */
-  const VOCAB_KEY = 'medpad_vocabulary';
-  function loadVocab(){
-    try{ return JSON.parse(localStorage.getItem(VOCAB_KEY) || '{}') instanceof Array
-      ? JSON.parse(localStorage.getItem(VOCAB_KEY) || '[]')
-      : JSON.parse(localStorage.getItem(VOCAB_KEY) || '[]'); }
+  function ttsVoices(){
+    try{ return ('speechSynthesis' in window) ? (window.speechSynthesis.getVoices() || []) : []; }
     catch(_){ return []; }
   }
-  function saveVocab(list){
-    try{ localStorage.setItem(VOCAB_KEY, JSON.stringify(list.slice(0, 5000))); }
+
+  function findVoice(id){
+    if (!id) return null;
+    return ttsVoices().find(v => v.voiceURI === id) || ttsVoices().find(v => v.name === id) || null;
+  }
+
+  function normLang(l){
+    return String(l || '').replace('_', '-').toLowerCase();
+  }
+
+  function voiceForLang(lang){
+    const want = normLang(lang);
+    const all  = ttsVoices();
+    return all.find(v => normLang(v.lang) === want)
+      || all.find(v => normLang(v.lang).split('-')[0] === want.split('-')[0])
+      || null;
+  }
+
+  /* A pad's own voice wins; otherwise the global voice is kept unless the pad
+     asks for a different language, in which case a voice for that language is used. */
+  function resolveTtsVoice(opts){
+    const lang = opts.lang || App.tts.lang || '';
+    let voice = findVoice(opts.voice);
+    if (!voice){
+      const g = findVoice(App.tts.voice);
+      if (g && (!opts.lang || normLang(g.lang).split('-')[0] === normLang(opts.lang).split('-')[0])) voice = g;
+    }
+    if (!voice && lang) voice = voiceForLang(lang);
+    return { voice, lang: lang || (voice ? voice.lang : '') };
+  }
+
+  function ttsOptsForPad(p){
+    return p ? { voice: p.ttsVoice || '', lang: p.ttsLang || '' } : {};
+  }
+
+  /* Local vocabulary (shared key with keyboard)
+     { version, words: { key: {text, count, last, saved, tags} }, bigrams: { prev: { next: n } } }
+     "saved" words were added on purpose (keyboard / editor); the rest were
+     learned from the sentence and only feed prediction. Older builds stored
+     a plain array of saved strings, which is migrated on load. */
+  const VOCAB_KEY       = 'medpad_vocabulary';
+  const VOCAB_VERSION   = 2;
+  const VOCAB_MAX_WORDS = 5000;
+  const VOCAB_SAVE_MS   = 1500;
+  const VOCAB_CATEGORIES = ['nouns', 'verbs', 'feelings'];
+  let vocabSaveTimer    = null;
+  const vocabStore      = loadVocabStore();
+
+  function cleanTags(tags){
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(/[;,|]/);
+    return Array.from(new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean)));
+  }
+
+  function vocabKey(w){
+    return String(w || '').toLowerCase().trim().replace(/\s+/g, ' ')
+      .replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, '');
+  }
+
+  function loadVocabStore(){
+    const store = { version: VOCAB_VERSION, words: {}, bigrams: {} };
+    let raw = null;
+    try{ raw = JSON.parse(localStorage.getItem(VOCAB_KEY) || 'null'); }catch(_){}
+
+    if (Array.isArray(raw)){
+      const now = Date.now();
+      raw.forEach((w, i)=>{
+        const k = vocabKey(w);
+        if (k && !store.words[k]) store.words[k] = { text: String(w).trim(), count: 0, last: now - i, saved: true, tags: [] };
+      });
+    }else if (raw && typeof raw === 'object'){
+      for (const [k, e] of Object.entries(raw.words || {})){
+        if (!e || !vocabKey(k)) continue;
+        store.words[vocabKey(k)] = {
+          text : String(e.text || k),
+          count: Math.max(0, Number(e.count) || 0),
+          last : Number(e.last) || 0,
+          saved: !!e.saved,
+          tags : cleanTags(e.tags)
+        };
+      }
+      for (const [a, row] of Object.entries(raw.bigrams || {})){
+        if (!row || typeof row !== 'object') continue;
+        for (const [b, n] of Object.entries(row)){
+          if (Number(n) > 0) (store.bigrams[a] = store.bigrams[a] || {})[b] = Number(n);
+        }
+      }
+    }
+    return store;
+  }
+
+  function saveVocabStore(){
+    clearTimeout(vocabSaveTimer);
+    vocabSaveTimer = null;
+    const keys = Object.keys(vocabStore.words);
+    if (keys.length > VOCAB_MAX_WORDS){
+      // drop the least-used learned words first; saved words go last
+      keys.sort((a,b)=>{
+        const x = vocabStore.words[a], y = vocabStore.words[b];
+        return (x.saved - y.saved) || (x.count - y.count) || (x.last - y.last);
+      });
+      for (const k of keys.slice(0, keys.length - VOCAB_MAX_WORDS)){
+        delete vocabStore.words[k];
+        delete vocabStore.bigrams[k];
+      }
+    }
+    try{ localStorage.setItem(VOCAB_KEY, JSON.stringify(vocabStore)); }
     catch(_){}
   }
 
+  // Learning runs for every word added to the sentence; write those in batches.
+  function scheduleVocabSave(){
+    clearTimeout(vocabSaveTimer);
+    vocabSaveTimer = setTimeout(saveVocabStore, VOCAB_SAVE_MS);
+  }
+
+  window.addEventListener('pagehide', ()=>{ if (vocabSaveTimer) saveVocabStore(); });
+  document.addEventListener('visibilitychange', ()=>{
+    if (document.visibilityState === 'hidden' && vocabSaveTimer) saveVocabStore();
+  });
+
+  // Saved entries, most used first.
+  function vocabEntries(){
+    return Object.values(vocabStore.words)
+      .filter(e => e.saved)
+      .sort((a,b)=> (b.count - a.count) || (b.last - a.last));
+  }
+
+  function vocabWords(){
+    return vocabEntries().map(e => e.text);
+  }
+
+  function vocabCategories(){
+    const set = new Set(VOCAB_CATEGORIES);
+    for (const e of vocabEntries()) e.tags.forEach(t => set.add(t));
+    return Array.from(set);
+  }
+
+  function vocabAdd(text, tags){
+    const k = vocabKey(text);
+    if (!k) return null;
+    const e = vocabStore.words[k] || (vocabStore.words[k] = { text: String(text).trim(), count: 0, last: 0, tags: [] });
+    e.saved = true;
+    e.last  = Date.now();
+    e.tags  = cleanTags((e.tags || []).concat(cleanTags(tags)));
+    saveVocabStore();
+    return e;
+  }
+
+  function vocabSetTags(text, tags){
+    const e = vocabStore.words[vocabKey(text)];
+    if (!e) return;
+    e.tags = cleanTags(tags);
+    saveVocabStore();
+  }
+
+  /* Bulk add of [{text, tags}]. Duplicates (same word ignoring case and edge
+     punctuation) are skipped, have their tags merged, or are replaced. */
+  function vocabImport(items, dup='merge'){
+    const res = { added: 0, dup: 0 };
+    const now = Date.now();
+    items.forEach((it, i)=>{
+      const k = vocabKey(it.text);
+      if (!k) return;
+      const e = vocabStore.words[k];
+      if (!e || !e.saved){
+        vocabStore.words[k] = Object.assign(e || { count: 0 }, {
+          text: String(it.text).trim(), last: now - i, saved: true, tags: cleanTags(it.tags)
+        });
+        res.added++;
+        return;
+      }
+      res.dup++;
+      if (dup === 'merge') e.tags = cleanTags(e.tags.concat(cleanTags(it.tags)));
+      else if (dup === 'replace'){
+        e.text = String(it.text).trim();
+        e.tags = cleanTags(it.tags);
+      }
+    });
+    saveVocabStore();
+    return res;
+  }
+
+  function vocabRemove(text){
+    const k = vocabKey(text);
+    if (!vocabStore.words[k]) return false;
+    delete vocabStore.words[k];
+    delete vocabStore.bigrams[k];
+    for (const row of Object.values(vocabStore.bigrams)) delete row[k];
+    saveVocabStore();
+    return true;
+  }
+
+  // Count each word of an utterance and the word pairs it forms, starting from prev.
+  function vocabLearn(text, prev){
+    const words = String(text || '').split(/\s+/).filter(w => vocabKey(w));
+    if (!words.length) return;
+    let a = prev ? vocabKey(prev) : '';
+    const now = Date.now();
+    for (const w of words){
+      const k = vocabKey(w);
+      const e = vocabStore.words[k] || (vocabStore.words[k] = { text: w.replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, ''), count: 0, last: 0, saved: false, tags: [] });
+      e.count++;
+      e.last = now;
+      if (a){
+        const row = vocabStore.bigrams[a] || (vocabStore.bigrams[a] = {});
+        row[k] = (row[k] || 0) + 1;
+      }
+      a = k;
+    }
+    scheduleVocabSave();
+  }
+
+  /* Rank candidates for a typed prefix: prefix match is required, then
+     usage count, then how often the word followed the previous word. With
+     no prefix, words that follow the previous word are offered. */
+  function predictWords(prefix, prev, n=6){
+    const pk   = vocabKey(prefix);
+    const next = (prev && vocabStore.bigrams[vocabKey(prev)]) || {};
+    const any  = !pk && !Object.keys(next).length;
+    const out  = [];
+    for (const [k, e] of Object.entries(vocabStore.words)){
+      if (pk ? !k.startsWith(pk) : !(any || next[k])) continue;
+      const score = Math.log1p(e.count) + 2.5 * Math.log1p(next[k] || 0) + (e.saved ? 0.5 : 0);
+      out.push({ text: e.text, score, last: e.last });
+    }
+    out.sort((a,b)=> (b.score - a.score) || (b.last - a.last));
+    return out.slice(0, n).map(x => x.text);
+  }
+
   /* ========= DOM refs ========= */
   const boardsWrap   = $('#boards');
   const groupsBtn    = $('#groupsBtn');
@@ -95,12 +365,15 @@ Created by Scott Russo.
   const sentenceStopBtn  = $('#sentenceStopBtn');
   const sentenceBackBtn  = $('#sentenceBackBtn');
   const sentenceClearBtn = $('#sentenceClearBtn');
+  const renderWavBtn     = $('#renderWavBtn');
   const sentenceListEl   = $('#sentenceList');
   const transcriptEl     = $('#transcript');
   const seqStatus        = $('#seqStatus');
   const wpmNum           = $('#wpmNum');
   const gapMsNum         = $('#gapMsNum');
   const ttsFallbackChk   = $('#ttsFallbackChk');
+  const stretchChk       = $('#stretchChk');
+  const grammarChk       = $('#grammarChk');
 
   // Scenes & Chain
   const sceneBtns    = $$('[data-scene]');
@@ -204,15 +477,15 @@ Created by Scott Russo.
     window.removeEventListener('pointerdown', once);
   }, {once:true});
 
-  function makePadChain(){
-    const g = actx.createGain();
-    const p = actx.createStereoPanner();
-    const f = actx.createBiquadFilter();
+  function makePadChain(ctx=actx, dest=master){
+    const g = ctx.createGain();
+    const p = ctx.createStereoPanner();
+    const f = ctx.createBiquadFilter();
     f.type = 'lowpass';
     f.frequency.value = 18000;
     f.Q.value = 0.0001;
-    const a = actx.createGain();
-    g.connect(f).connect(p).connect(a).connect(master);
+    const a = ctx.createGain();
+    g.connect(f).connect(p).connect(a).connect(dest);
     return {g, p, f, a};
   }
 
@@ -221,12 +494,26 @@ Created by Scott Russo.
     RETRIGGER    : 'retrigger',
     TOGGLE_START : 'toggle_start',
     TOGGLE_RESUME: 'toggle_resume',
-    RECORD       : 'record'
+    RECORD       : 'record',
+    NAVIGATE     : 'navigate',
+    // commands: see PAD_COMMANDS
+    SPEAK_SENTENCE: 'speak_sentence',
+    CLEAR_SENTENCE: 'clear_sentence',
+    BACKSPACE     : 'backspace',
+    SCENE         : 'scene',
+    STORY_CHAIN   : 'story_chain',
+    STOP_ALL      : 'stop_all'
   });
 
+  // Persistent pad id; sentence tokens refer to pads by it.
+  function newPadId(){
+    return 'p' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
   function makePad(i){
     const nm = `Pad ${String(i+1).padStart(2,'0')}`;
     return {
+      id     : newPadId(),
       name   : nm,
       phrase : nm,
       buffer : null,
@@ -246,6 +533,19 @@ Created by Scott Russo.
       reverse:false,
       choke : 0,
 
+      trimStart: 0,
+      trimEnd  : null,
+      fadeIn   : 0,
+      fadeOut  : 0,
+
+      ttsVoice: '',
+      ttsLang : '',
+      link    : null,       // group id a NAVIGATE pad opens
+      linkHide: true,       // …hiding the board the pad sits on
+      linkReturn: false,    // …and coming back after one pick there
+      scene   : 0,          // scene index a SCENE pad switches to
+      grammar : { pos:'', third:'', plural:'', article:'' },   // see sentence grammar
+
       mode    : PadMode.RETRIGGER,
       voices  : [],
       toggleOn: false,
@@ -280,7 +580,13 @@ Created by Scott Russo.
     groups  : [],
     visible : new Set(),
     editGid : null,
-    sentence: []
+    sentence: [],
+    midi    : { notes: {}, cc: {} },
+    keymap  : {},
+    focusGid: null,
+    scan    : { enabled:false, mode:'auto', interval:1500, cues:'off', selectKey:'Space', stepKey:'Enter' },
+    tts     : { voice:'', lang:'', rate:1, pitch:1, volume:1 },
+    audio   : { format:'pcm16', rate:0, mono:false }
   };
 
   /* ========= boards ========= */
@@ -297,6 +603,8 @@ Created by Scott Russo.
       board.style.setProperty('--ac', g.color);
       board.style.setProperty('--ac-rgb', hexToRgbString(g.color));
       board.dataset.groupId = g.id;
+      if (g.id === App.focusGid) board.classList.add('focused');
+      board.addEventListener('pointerdown', ()=> setFocusBoard(g.id));
 
       const grid = document.createElement('div');
       grid.className = 'padgrid';
@@ -306,19 +614,23 @@ Created by Scott Russo.
       for (let i=0;i<g.pads.length;i++){
         const p = g.pads[i];
         const el = document.createElement('button');
-        el.className = 'pad';
+        el.className = 'pad' + (p.mode === PadMode.NAVIGATE ? ' linked' : PAD_COMMANDS[p.mode] ? ' command' : '');
         el.title = (p.phrase && p.phrase.trim()) || p.name;
 
         if (p.img){
-          el.innerHTML = `<img alt="${p.name}" src="${p.img}"><div class="badge">${i+1}</div>`;
+          el.innerHTML = `<img alt="${escHtml(p.name)}" src="${escHtml(p.img)}"><div class="badge">${i+1}</div>`;
         }else{
-          el.innerHTML = `<div>${p.name}</div><div class="badge">${i+1}</div>`;
+          el.innerHTML = `<div>${escHtml(p.name)}</div><div class="badge">${i+1}</div>`;
         }
 
-        el.addEventListener('mousedown', ()=> onPadPress(g.id, i, 1.0));
+        el.addEventListener('mousedown', (e)=>{
+          if (arrangeMode) startPadDrag(e, g.id, i, el);
+          else onPadPress(g.id, i, 1.0);
+        });
         el.addEventListener('touchstart', (e)=>{
           e.preventDefault();
-          onPadPress(g.id, i, 1.0);
+          if (arrangeMode) startPadDrag(e, g.id, i, el);
+          else onPadPress(g.id, i, 1.0);
         }, {passive:false});
 
         grid.appendChild(el);
@@ -339,6 +651,7 @@ Created by Scott Russo.
       colorPick.className = 'colorpick';
       colorPick.title = 'Pick group color';
       colorPick.oninput = (e)=>{
+        pushUndo('Group color', { key: 'color:' + g.id });
         g.color = e.target.value || g.color;
         renderBoards();
         renderGroupList();
@@ -406,6 +719,12 @@ Created by Scott Russo.
     }
   }
 
+  // The focused board is the one computer-keyboard pad keys play.
+  function setFocusBoard(gid){
+    App.focusGid = gid;
+    $$('.board', boardsWrap).forEach(b => b.classList.toggle('focused', b.dataset.groupId === gid));
+  }
+
   function flashPad(gid, idx){
     const boards = Array.from(document.querySelectorAll('.padgrid'));
     const board = boards.find(pg => pg.dataset.groupId === gid);
@@ -436,7 +755,7 @@ Created by Scott Russo.
 
       const left = document.createElement('div');
       left.style.cssText = 'display:flex;flex-direction:column;gap:6px;flex:1';
-      left.innerHTML = `<div style="font-weight:700">${g.name}</div><div class="muted small">${g.rows}×${g.cols} • ${g.pads.length} pads</div>`;
+      left.innerHTML = `<div style="font-weight:700">${escHtml(g.name)}</div><div class="muted small">${g.rows}×${g.cols} • ${g.pads.length} pads</div>`;
 
       const vis = document.createElement('label');
       vis.className = 'small';
@@ -450,8 +769,9 @@ Created by Scott Russo.
 
       const colorLabel = document.createElement('label');
       colorLabel.className = 'small';
-      colorLabel.innerHTML = `Color <input type="color" value="${g.color}" style="height:26px;margin-left:6px;border:1px solid var(--line);border-radius:6px;background:#0f1519">`;
+      colorLabel.innerHTML = `Color <input type="color" value="${escHtml(g.color)}" style="height:26px;margin-left:6px;border:1px solid var(--line);border-radius:6px;background:#0f1519">`;
       colorLabel.querySelector('input').oninput = (e)=>{
+        pushUndo('Group color', { key: 'color:' + g.id });
         g.color = e.target.value || g.color;
         renderBoards();
         renderGroupList();
@@ -464,6 +784,7 @@ Created by Scott Russo.
       renameBtn.onclick = ()=>{
         const nv = prompt('Rename group', g.name);
         if (!nv) return;
+        pushUndo('Rename group');
         g.name = nv;
         renderGroupList();
         renderBoards();
@@ -479,8 +800,12 @@ Created by Scott Russo.
         const r = Number(rv);
         const c = Number(cv);
         if (!r || !c) return;
+        const lost = g.pads.slice(Math.min(12, r) * Math.min(12, c)).filter(p => !isBlankPad(p)).length;
+        if (lost && !confirm(`Resizing removes ${lost} pad${lost === 1 ? '' : 's'} with a label, image or audio. Continue?`)) return;
+        pushUndo('Resize group');
         resizeGroup(g, r, c);
         renderBoards();
+        renderSentence();
         if (App.editGid === g.id) rebuildEditor();
       };
 
@@ -494,6 +819,7 @@ Created by Scott Russo.
       delBtn.textContent = 'Delete';
       delBtn.onclick = ()=>{
         if (!confirm(`Delete group "${g.name}"?`)) return;
+        pushUndo('Delete group');
         App.groups = App.groups.filter(x => x.id !== g.id);
         App.visible.delete(g.id);
         if (App.editGid === g.id){
@@ -503,6 +829,7 @@ Created by Scott Russo.
         renderGroupList();
         renderBoards();
         rebuildEditor();
+        renderSentence();
       };
 
       const right = document.createElement('div');
@@ -529,11 +856,356 @@ Created by Scott Russo.
     const old = g.pads.slice(0);
     const count = rows * cols;
     const out = Array.from({length:count}, (_,i)=> old[i] ? old[i] : makePad(i));
-    g.rows = rows;
-    g.cols = cols;
-    g.pads = out;
+    withPadRefs(()=>{
+      g.rows = rows;
+      g.cols = cols;
+      g.pads = out;
+    });
+  }
+
+  function findPadById(pid){
+    if (!pid) return null;
+    for (const g of App.groups){
+      const idx = g.pads.findIndex(p => p.id === pid);
+      if (idx >= 0) return { g, idx, p: g.pads[idx] };
+    }
+    return null;
+  }
+
+  // Give pads without an id, or sharing one with an earlier pad, a fresh id.
+  function ensureUniquePadIds(){
+    const seen = new Set();
+    for (const g of App.groups){
+      for (const p of g.pads){
+        if (typeof p.id !== 'string' || !p.id || seen.has(p.id)) p.id = newPadId();
+        seen.add(p.id);
+      }
+    }
+  }
+
+  function isBlankPad(p){
+    return !p.buffer && !p.b64 && !p.img && !p.link && !PAD_COMMANDS[p.mode] && /^Pad \d+$/.test(p.name) && (!p.phrase || p.phrase === p.name);
+  }
+
+  /* MIDI notes point at pads by {gid, idx}. Run a mutation that moves pads
+     around, then point each note back at the same pad object; notes whose pad
+     is gone are removed. Sentence tokens use pad ids and need no remap. */
+  function withPadRefs(mutate){
+    const notes  = Object.entries(App.midi.notes);
+    const padAt  = r => { const g = App.groups.find(x => x.id === r.gid); return g ? g.pads[r.idx] : null; };
+    const midiBefore = notes.map(([,t]) => padAt(t));
+
+    mutate();
+
+    const where = new Map();
+    for (const g of App.groups) g.pads.forEach((p,i)=> where.set(p, { gid: g.id, idx: i }));
+    notes.forEach(([key, t], k)=>{
+      const w = midiBefore[k] && where.get(midiBefore[k]);
+      if (w) App.midi.notes[key] = w;
+      else if (midiBefore[k]) delete App.midi.notes[key];
+    });
+  }
+
+  /* ========= arrange pads =========
+     With Arrange on, dragging a pad onto another swaps them, or moves it there
+     and shifts the pads in between. Moving into another group takes that
+     group's nearest blank pad, so nothing is pushed off the end. */
+  const arrangeBtn     = $('#arrangeBtn');
+  const arrangeModeSel = $('#arrangeModeSel');
+  let arrangeMode = false;
+  let padDrag     = null;
+
+  function setArrange(on){
+    arrangeMode = !!on;
+    if (boardsWrap) boardsWrap.classList.toggle('arranging', arrangeMode);
+    if (arrangeBtn){
+      arrangeBtn.setAttribute('aria-pressed', arrangeMode ? 'true' : 'false');
+      arrangeBtn.textContent = arrangeMode ? 'Arrange pads: On' : 'Arrange pads: Off';
+    }
+    status(arrangeMode ? 'Arrange: drag pads to swap or move them' : 'Arrange: off');
+  }
+
+  function movePad(fromGid, fromIdx, toGid, toIdx, mode){
+    const ga = App.groups.find(x => x.id === fromGid);
+    const gb = App.groups.find(x => x.id === toGid);
+    if (!ga || !gb || !ga.pads[fromIdx] || !gb.pads[toIdx]) return false;
+    if (ga === gb && fromIdx === toIdx) return false;
+
+    let free = -1;
+    if (mode === 'move' && ga !== gb){
+      for (let d=0; d<gb.pads.length && free < 0; d++){
+        if (gb.pads[toIdx + d] && isBlankPad(gb.pads[toIdx + d])) free = toIdx + d;
+        else if (gb.pads[toIdx - d] && isBlankPad(gb.pads[toIdx - d])) free = toIdx - d;
+      }
+      if (free < 0){
+        status(`No blank pad left in "${gb.name}" — drop to swap instead`);
+        return false;
+      }
+    }
+
+    pushUndo(mode === 'move' ? 'Move pad' : 'Swap pads');
+    withPadRefs(()=>{
+      const p = ga.pads[fromIdx];
+      if (mode !== 'move'){
+        ga.pads[fromIdx] = gb.pads[toIdx];
+        gb.pads[toIdx]   = p;
+      }else if (ga === gb){
+        ga.pads.splice(fromIdx, 1);
+        ga.pads.splice(toIdx, 0, p);
+      }else{
+        gb.pads.splice(free, 1);
+        gb.pads.splice(toIdx, 0, p);
+        ga.pads[fromIdx] = makePad(fromIdx);
+      }
+    });
+
+    renderBoards();
+    renderSentence();
+    if (kitEditor.classList.contains('show') && (App.editGid === ga.id || App.editGid === gb.id)) rebuildEditor();
+    else refreshMidiUi();
+    return true;
+  }
+
+  function padUnder(point){
+    const hit = document.elementFromPoint(point.clientX, point.clientY);
+    const el  = hit && hit.closest ? hit.closest('.padgrid .pad') : null;
+    if (!el) return null;
+    const grid = el.parentElement;
+    return { gid: grid.dataset.groupId, idx: Array.prototype.indexOf.call(grid.children, el), el };
+  }
+
+  function startPadDrag(e, gid, idx, el){
+    if (e.button !== undefined && e.button !== 0) return;
+    e.preventDefault();
+    const point = ('touches' in e) ? e.touches[0] : e;
+    const rect  = el.getBoundingClientRect();
+    const ghost = el.cloneNode(true);
+    ghost.classList.add('pad-ghost');
+    ghost.style.width  = rect.width + 'px';
+    ghost.style.height = rect.height + 'px';
+    ghost.style.setProperty('--ac-rgb', getComputedStyle(el).getPropertyValue('--ac-rgb'));
+    document.body.appendChild(ghost);
+    el.classList.add('drag-src');
+
+    padDrag = { gid, idx, el, ghost, over: null, dx: point.clientX - rect.left, dy: point.clientY - rect.top };
+    movePadGhost(point);
+
+    document.addEventListener('mousemove', onPadDragMove, {passive:false});
+    document.addEventListener('mouseup', onPadDragEnd);
+    document.addEventListener('touchmove', onPadDragMove, {passive:false});
+    document.addEventListener('touchend', onPadDragEnd);
+  }
+
+  function movePadGhost(point){
+    padDrag.ghost.style.left = (point.clientX - padDrag.dx) + 'px';
+    padDrag.ghost.style.top  = (point.clientY - padDrag.dy) + 'px';
+  }
+
+  function onPadDragMove(e){
+    if (!padDrag) return;
+    e.preventDefault();
+    const point = ('touches' in e) ? e.touches[0] : e;
+    movePadGhost(point);
+    const t = padUnder(point);
+    if (padDrag.over && (!t || t.el !== padDrag.over)) padDrag.over.classList.remove('drop-target');
+    padDrag.over = (t && t.el !== padDrag.el) ? t.el : null;
+    if (padDrag.over) padDrag.over.classList.add('drop-target');
+  }
+
+  function onPadDragEnd(e){
+    document.removeEventListener('mousemove', onPadDragMove);
+    document.removeEventListener('mouseup', onPadDragEnd);
+    document.removeEventListener('touchmove', onPadDragMove);
+    document.removeEventListener('touchend', onPadDragEnd);
+    if (!padDrag) return;
+
+    const d = padDrag;
+    padDrag = null;
+    d.ghost.remove();
+    d.el.classList.remove('drag-src');
+    if (d.over) d.over.classList.remove('drop-target');
+
+    const point = (e.changedTouches && e.changedTouches[0]) || e;
+    const t = padUnder(point);
+    if (!t) return;
+    const mode = arrangeModeSel ? arrangeModeSel.value : 'swap';
+    if (movePad(d.gid, d.idx, t.gid, t.idx, mode)){
+      status(mode === 'move' ? 'Pad moved' : 'Pads swapped');
+    }
+  }
+
+  if (arrangeBtn) arrangeBtn.onclick = ()=> setArrange(!arrangeMode);
+
+  /* ========= undo / redo =========
+     Snapshots taken before each edit. Board edits copy every group and pad
+     (fields only; AudioBuffers are shared, never copied); sentence edits copy
+     just the sentence and the scene it belongs to. Repeated edits of the same
+     field within a moment share one entry. Buffers that only history still
+     holds count against UNDO_AUDIO_BUDGET; the oldest entries go first. */
+  const UNDO_LIMIT        = 100;
+  const UNDO_COALESCE_MS  = 1500;
+  const UNDO_AUDIO_BUDGET = 48 * 1024 * 1024;
+  const undoBtn = $('#undoBtn');
+  const redoBtn = $('#redoBtn');
+  const undoStack = [];
+  const redoStack = [];
+
+  function snapshotPad(p){
+    return Object.assign({}, p, {
+      env        : Object.assign({}, p.env),
+      grammar    : Object.assign({}, p.grammar),
+      voices     : [],
+      voice      : null,
+      toggleOn   : false,
+      savedOffset: 0
+    });
+  }
+
+  function snapshotState(scope){
+    if (scope === 'sentence'){
+      return { scope, scene: currentScene, sentence: App.sentence.map(t => Object.assign({}, t)) };
+    }
+    return {
+      scope  : 'board',
+      groups : App.groups.map(g => Object.assign({}, g, {
+        win : g.win ? Object.assign({}, g.win) : null,
+        pads: g.pads.map(snapshotPad)
+      })),
+      visible: Array.from(App.visible),
+      midi   : JSON.parse(JSON.stringify(App.midi))
+    };
+  }
+
+  function restoreState(s){
+    if (s.scope === 'sentence'){
+      if (s.scene !== currentScene) setScene(s.scene);
+      App.sentence = s.sentence.map(t => Object.assign({}, t));
+      renderSentence();
+      return;
+    }
+    stopAllBtn.onclick();
+    App.groups  = s.groups.map(g => Object.assign({}, g, {
+      win : g.win ? Object.assign({}, g.win) : null,
+      pads: g.pads.map(snapshotPad)
+    }));
+    App.visible = new Set(s.visible.filter(id => App.groups.some(g => g.id === id)));
+    App.midi    = JSON.parse(JSON.stringify(s.midi));
+    if (App.editGid && !App.groups.some(g => g.id === App.editGid)){
+      App.editGid = null;
+      kitEditor.classList.remove('show');
+    }
+    renderGroupList();
+    renderBoards();
+    renderSentence();
+    if (kitEditor.classList.contains('show')) rebuildEditor();
+    else refreshMidiUi();
+  }
+
+  // Call before an edit. opts.key coalesces rapid edits; opts.scope 'sentence' skips the boards.
+  function pushUndo(label, opts={}){
+    const scope = opts.scope || 'board';
+    const last  = undoStack[undoStack.length - 1];
+    const now   = Date.now();
+    if (opts.key && last && last.key === opts.key && now - last.time < UNDO_COALESCE_MS){
+      last.time = now;
+      return;
+    }
+    undoStack.push({ label, key: opts.key || null, time: now, state: snapshotState(scope) });
+    redoStack.length = 0;
+    trimUndo();
+    renderUndoUi();
+    markDirty();
+  }
+
+  // Buffers an entry holds that the boards no longer use, with their size.
+  function entryAudio(e, live){
+    const held = new Map();
+    if (!e.state.groups) return held;
+    for (const g of e.state.groups){
+      for (const p of g.pads){
+        if (!p.buffer || live.has(p.buffer) || held.has(p.buffer)) continue;
+        held.set(p.buffer, p.buffer.length * p.buffer.numberOfChannels * 4 + (p.b64 ? p.b64.length : 0));
+      }
+    }
+    return held;
+  }
+
+  // One pass totals history-only audio; each dropped entry then gives back
+  // the buffers no other entry shares.
+  function trimUndo(){
+    while (undoStack.length > UNDO_LIMIT) undoStack.shift();
+    if (undoStack.length < 2) return;
+    const live = new Set();
+    for (const g of App.groups) for (const p of g.pads) if (p.buffer) live.add(p.buffer);
+    const refs = new Map();   // buffer → entries holding it
+    let bytes = 0;
+    const held = undoStack.concat(redoStack).map(e=>{
+      const m = entryAudio(e, live);
+      m.forEach((size, buf)=>{
+        if (!refs.has(buf)) bytes += size;
+        refs.set(buf, (refs.get(buf) || 0) + 1);
+      });
+      return m;
+    });
+    for (let i = 0; undoStack.length > 1 && bytes > UNDO_AUDIO_BUDGET; i++){
+      undoStack.shift();
+      held[i].forEach((size, buf)=>{
+        const n = refs.get(buf) - 1;
+        refs.set(buf, n);
+        if (!n) bytes -= size;
+      });
+    }
+  }
+
+  function clearHistory(){
+    undoStack.length = 0;
+    redoStack.length = 0;
+    renderUndoUi();
+  }
+
+  function stepHistory(from, to, verb){
+    const e = from.pop();
+    if (!e) return;
+    to.push({ label: e.label, key: null, time: 0, state: snapshotState(e.state.scope) });
+    restoreState(e.state);
+    renderUndoUi();
+    markDirty();
+    status(`${verb}: ${e.label}`);
+  }
+
+  function undo(){ stepHistory(undoStack, redoStack, 'Undo'); }
+  function redo(){ stepHistory(redoStack, undoStack, 'Redo'); }
+
+  function renderUndoUi(){
+    const u = undoStack[undoStack.length - 1];
+    const r = redoStack[redoStack.length - 1];
+    if (undoBtn){
+      undoBtn.disabled = !u;
+      undoBtn.title    = u ? `Undo ${u.label} (Ctrl+Z)` : 'Nothing to undo';
+    }
+    if (redoBtn){
+      redoBtn.disabled = !r;
+      redoBtn.title    = r ? `Redo ${r.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
   }
 
+  if (undoBtn) undoBtn.onclick = undo;
+  if (redoBtn) redoBtn.onclick = redo;
+
+  // Text fields keep their own native undo.
+  document.addEventListener('keydown', (e)=>{
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (isTypingTarget(e.target)) return;
+    const k = (e.key || '').toLowerCase();
+    if (k === 'z' && !e.shiftKey){
+      e.preventDefault();
+      undo();
+    }else if ((k === 'z' && e.shiftKey) || k === 'y'){
+      e.preventDefault();
+      redo();
+    }
+  });
+
   groupsBtn.onclick      = ()=> groupsPanel.classList.toggle('show');
   toggleSeqBtn.onclick   = ()=> seqPanel.classList.toggle('show');
   toggleKitMgrBtn.onclick= ()=> kitMgrPanel.classList.toggle('show');
@@ -552,6 +1224,7 @@ Created by Scott Russo.
     const c = Math.max(1, Math.min(12, Number(newCols.value || 4)));
     const col = newColor.value || DEFAULT_COLORS[(NEXT_GROUP_ID-1) % DEFAULT_COLORS.length];
     const g = makeGroup(name, r, c, col);
+    pushUndo('Add group');
     App.groups.push(g);
     App.visible.add(g.id);
     newGroupName.value = '';
@@ -584,27 +1257,124 @@ Created by Scott Russo.
     }
   }
 
+  /* choke groups: a pad in group N cuts voices on every other pad in N */
+  const CHOKE_GROUPS = 8;
+  const CHOKE_FADE   = 0.03;
+
+  function releaseVoice(v, fade){
+    const now = actx.currentTime;
+    try{
+      v.a.gain.cancelScheduledValues(now);
+      v.a.gain.setValueAtTime(v.a.gain.value, now);
+      v.a.gain.linearRampToValueAtTime(0, now + fade);
+      v.src.stop(now + fade + 0.005);
+    }catch(_){
+      try{ v.src.stop(); }catch(_){}
+    }
+  }
+
+  function toggleOffset(p, v, now){
+    const r       = padRegion(p);
+    const elapsed = (now - v.startTime) * v.playbackRate;
+    const newOff  = v.startOffset + elapsed;
+    return p.loop
+      ? r.start + ((newOff - r.start) % r.dur)
+      : Math.min(newOff, r.end);
+  }
+
+  function chokeOthers(p){
+    const n = Number(p.choke) || 0;
+    if (!n) return;
+    for (const g of App.groups){
+      for (const o of g.pads){
+        if (o === p || (Number(o.choke) || 0) !== n) continue;
+        while (o.voices.length) releaseVoice(o.voices.pop(), CHOKE_FADE);
+        if (o.voice){
+          o.savedOffset = (o.mode === PadMode.TOGGLE_RESUME && o.buffer)
+            ? toggleOffset(o, o.voice, actx.currentTime)
+            : 0;
+          releaseVoice(o.voice, CHOKE_FADE);
+          o.voice    = null;
+          o.toggleOn = false;
+        }
+      }
+    }
+  }
+
   function effectiveRate(p){
     return Math.pow(2, (p.tune + (p.fine/100)) / 12);
   }
 
-  function triggerRetrigger(p, vel=1){
-    if (!p.buffer) return;
-    const {g,p:pan,f,a} = makePadChain();
-    g.gain.value        = p.gain * vel;
+  // Trim markers clamped to the buffer, in forward-buffer seconds.
+  function trimBounds(p){
+    const len = p.buffer ? p.buffer.duration : 0;
+    let s = Math.max(0, Math.min(len, Number(p.trimStart) || 0));
+    let e = (Number(p.trimEnd) > 0) ? Math.min(len, Number(p.trimEnd)) : len;
+    if (e - s < 0.005){ s = 0; e = len; }
+    return { s, e, len };
+  }
+
+  function resetPadTrim(p){
+    p.trimStart = 0;
+    p.trimEnd   = null;
+  }
+
+  /* Trimmed play region in source-buffer seconds. trimStart/trimEnd always
+     refer to the forward buffer, so the region is mirrored when reversed. */
+  function padRegion(p){
+    const {s, e, len} = trimBounds(p);
+    return p.reverse
+      ? { start: len - e, end: len - s, dur: e - s }
+      : { start: s,       end: e,       dur: e - s };
+  }
+
+  // Seconds one pass of the trimmed region takes at the pad's tuning.
+  function padPlayDuration(p){
+    if (!p.buffer) return 0;
+    return padRegion(p).dur / effectiveRate(p);
+  }
+
+  function scheduleFades(param, level, now, dur, p){
+    const fi = Math.max(0, Number(p.fadeIn)  || 0);
+    const fo = Math.max(0, Number(p.fadeOut) || 0);
+    param.cancelScheduledValues(now);
+    if (fi > 0){
+      param.setValueAtTime(0, now);
+      param.linearRampToValueAtTime(level, now + Math.min(fi, dur));
+    }else{
+      param.setValueAtTime(level, now);
+    }
+    if (fo > 0 && !p.loop){
+      const t0 = now + Math.max(Math.min(fi, dur), dur - fo);
+      param.setValueAtTime(level, t0);
+      param.linearRampToValueAtTime(0, now + dur);
+    }
+  }
+
+  /* One-shot voice of pad p started at `when` on any context (live or offline).
+     speed != 1 plays a pitch-preserving time-stretched copy of the trimmed region. */
+  function startPadVoice(ctx, dest, p, when, vel=1, speed=1){
+    const {g,p:pan,f,a} = makePadChain(ctx, dest);
     pan.pan.value       = p.pan;
     f.type              = p.filterType;
     f.frequency.value   = p.cutoff;
     f.Q.value           = p.q;
 
-    const src = actx.createBufferSource();
-    src.buffer = p.reverse ? reverseBuffer(p.buffer) : p.buffer;
-    src.loop   = !!p.loop;
+    const stretched = speed !== 1 ? stretchedRegion(p, speed) : null;
+    const src = ctx.createBufferSource();
+    src.buffer = stretched || (p.reverse ? reverseBuffer(p.buffer) : p.buffer);
+    src.loop   = !stretched && !!p.loop;
 
     const rate = effectiveRate(p);
     src.playbackRate.value = rate;
 
-    const now = actx.currentTime;
+    const region = stretched
+      ? { start: 0, end: stretched.duration, dur: stretched.duration }
+      : padRegion(p);
+    src.loopStart = region.start;
+    src.loopEnd   = region.end;
+
+    const now = when;
     const {a:att,d:dec,s:sus,r:rel} = p.env;
 
     a.gain.cancelScheduledValues(now);
@@ -612,13 +1382,23 @@ Created by Scott Russo.
     a.gain.linearRampToValueAtTime(1, now + att);
     a.gain.linearRampToValueAtTime(sus, now + att + dec);
 
-    const estDur = Math.max(0.02, p.buffer.duration / rate);
+    const estDur = Math.max(0.02, region.dur / rate);
     a.gain.setTargetAtTime(0, now + estDur, Math.max(0.001, rel));
+    scheduleFades(g.gain, p.gain * vel, now, estDur, p);
 
     src.connect(g);
-    src.start(now);
+    if (src.loop) src.start(now, region.start);
+    else src.start(now, region.start, region.dur);
+
+    return {src, a, g, pan, f, vel, dur: estDur};
+  }
 
-    p.voices.push({src, a});
+  function triggerRetrigger(p, vel=1, speed=1){
+    if (!p.buffer) return;
+    chokeOthers(p);
+    const v   = startPadVoice(actx, master, p, actx.currentTime, vel, speed);
+    const src = v.src;
+    p.voices.push(v);
     src.onended = ()=>{
       p.voices = p.voices.filter(v => v.src !== src);
     };
@@ -632,11 +1412,7 @@ Created by Scott Russo.
       if (v){
         const now = actx.currentTime;
         if (resume){
-          const elapsed = (now - v.startTime) * v.playbackRate;
-          const newOff = v.startOffset + elapsed;
-          p.savedOffset = p.loop
-            ? (newOff % p.buffer.duration)
-            : Math.min(newOff, p.buffer.duration);
+          p.savedOffset = toggleOffset(p, v, now);
         }else{
           p.savedOffset = 0;
         }
@@ -647,8 +1423,8 @@ Created by Scott Russo.
       return;
     }
 
+    chokeOthers(p);
     const {g,p:pan,f,a} = makePadChain();
-    g.gain.value        = p.gain;
     pan.pan.value       = p.pan;
     f.type              = p.filterType;
     f.frequency.value   = p.cutoff;
@@ -669,11 +1445,20 @@ Created by Scott Russo.
     a.gain.linearRampToValueAtTime(1, now + att);
     a.gain.linearRampToValueAtTime(sus, now + att + dec);
 
-    const startOffset = resume ? (p.savedOffset || 0) : 0;
+    const region = padRegion(p);
+    src.loopStart = region.start;
+    src.loopEnd   = region.end;
+
+    let startOffset = region.start;
+    if (resume && p.savedOffset > region.start && p.savedOffset < region.end - 0.001){
+      startOffset = p.savedOffset;
+    }
+    scheduleFades(g.gain, p.gain, now, (region.end - startOffset) / rate, p);
 
     src.connect(g);
     try{
-      src.start(now, Math.min(startOffset, Math.max(0, src.buffer.duration - 0.001)));
+      if (p.loop) src.start(now, startOffset);
+      else src.start(now, startOffset, region.end - startOffset);
     }catch(e){
       try{ src.start(now); }catch(_){}
     }
@@ -682,6 +1467,10 @@ Created by Scott Russo.
     p.voice = {
       src,
       a,
+      g,
+      pan,
+      f,
+      vel         : 1,
       startTime   : now,
       startOffset : startOffset,
       playbackRate: rate
@@ -696,6 +1485,98 @@ Created by Scott Russo.
     };
   }
 
+  /* Time-stretched copies for "fit samples to WPM". The WSOLA itself runs in
+     the codec worker (wavCodec → stretch); prepareStretch fills the cache
+     before playback or render, and startPadVoice only reads it. */
+  const STRETCH_MIN = 0.5;
+  const STRETCH_MAX = 2.0;
+  const stretchCache = new WeakMap();   // AudioBuffer → Map(key → {buf, ready})
+
+  function stretchSlot(p, speed){
+    speed = Math.round(Math.max(STRETCH_MIN, Math.min(STRETCH_MAX, speed)) * 20) / 20;
+    const r   = padRegion(p);
+    const key = `${speed}|${r.start.toFixed(4)}|${r.end.toFixed(4)}|${p.reverse ? 1 : 0}`;
+    let byKey = stretchCache.get(p.buffer);
+    if (!byKey){
+      byKey = new Map();
+      stretchCache.set(p.buffer, byKey);
+    }
+    return { speed, r, key, byKey };
+  }
+
+  // The stretched region once prepareStretch has made it; null plays the pad unstretched.
+  function stretchedRegion(p, speed){
+    const { key, byKey } = stretchSlot(p, speed);
+    const hit = byKey.get(key);
+    return (hit && hit.buf) || null;
+  }
+
+  function prepareStretch(p, speed){
+    if (!p.buffer) return Promise.resolve(null);
+    const { speed: sp, r, key, byKey } = stretchSlot(p, speed);
+    if (byKey.has(key)) return byKey.get(key).ready;
+
+    const srcBuf = p.reverse ? reverseBuffer(p.buffer) : p.buffer;
+    const sr     = srcBuf.sampleRate;
+    const s0     = Math.floor(r.start * sr);
+    const len    = Math.max(1, Math.min(srcBuf.length - s0, Math.round(r.dur * sr)));
+    const cut    = audioChannels(srcBuf).map(d => d.slice(s0, s0 + len));
+    const entry  = { buf: null, ready: null };
+    entry.ready = (sp === 1 ? Promise.resolve(cut) : runCodec('stretch', [cut, sr, sp])).then(chans=>{
+      const out = actx.createBuffer(chans.length, chans[0].length, sr);
+      chans.forEach((d, c)=> out.getChannelData(c).set(d));
+      entry.buf = out;
+      return out;
+    }, err=>{
+      byKey.delete(key);
+      report('stretch', err);
+      return null;
+    });
+    byKey.set(key, entry);
+    return entry.ready;
+  }
+
+  // Stretch every recorded word of a sentence up front so playback doesn't wait mid-way.
+  function prepareStretches(arr, pace){
+    if (!pace.stretch) return Promise.resolve();
+    return Promise.all(arr.map(tok => tokenPlan(tok, pace))
+      .filter(plan => plan.p && plan.p.buffer && plan.speed !== 1)
+      .map(plan => prepareStretch(plan.p, plan.speed)));
+  }
+
+  // Push edited pad parameters into voices that are already sounding.
+  function applyPadLive(p){
+    const now  = actx.currentTime;
+    const rate = effectiveRate(p);
+    const all  = p.voice ? p.voices.concat([p.voice]) : p.voices;
+    for (const v of all){
+      if (!v.g) continue;
+      try{
+        v.g.gain.setTargetAtTime(p.gain * (v.vel || 1), now, 0.01);
+        v.pan.pan.setTargetAtTime(p.pan, now, 0.01);
+        v.f.type = p.filterType;
+        v.f.frequency.setTargetAtTime(p.cutoff, now, 0.01);
+        v.f.Q.setTargetAtTime(p.q, now, 0.01);
+        v.src.loop = !!p.loop;
+        if (p.buffer){
+          const region = padRegion(p);
+          v.src.loopStart = region.start;
+          v.src.loopEnd   = region.end;
+        }
+        if (v === p.voice){
+          if (now > v.startTime + p.env.a + p.env.d){
+            v.a.gain.setTargetAtTime(p.env.s, now, 0.02);
+          }
+          // re-base the resume position before the rate changes under it
+          v.startOffset  = toggleOffset(p, v, now);
+          v.startTime    = now;
+          v.playbackRate = rate;
+        }
+        v.src.playbackRate.setTargetAtTime(rate, now, 0.01);
+      }catch(_){}
+    }
+  }
+
   /* mic record per pad */
   let micStream = null;
   const padRecorders = new Map();
@@ -727,12 +1608,15 @@ Created by Scott Russo.
       rec.onstop = async ()=>{
         state.active = false;
         try{
-          const blob = new Blob(state.chunks, {type:'audio/webm'});
+          const blob = new Blob(state.chunks, {type: rec.mimeType || 'audio/webm'});
           const arr  = await blob.arrayBuffer();
           const buf  = await actx.decodeAudioData(arr.slice(0));
+          const b64  = await audioToDataUrl(buf, blob);
+          pushUndo('Record ' + p.name);
           p.buffer   = buf;
           p.duration = buf.duration;
-          p.b64      = bufferToBase64Wav(buf);
+          p.b64      = b64;
+          resetPadTrim(p);
           p.toggleOn = false;
           p.savedOffset = 0;
           p.voice    = null;
@@ -763,6 +1647,115 @@ Created by Scott Russo.
     }
   }
 
+  /* ========= sentence grammar =========
+     Optional clean-up of the sentence as shown and spoken, so "I want eat
+     cookie" comes out as "I want to eat a cookie". Pads may carry grammar
+     {pos, third, plural, article}; other words fall back to GRAMMAR_LEXICON.
+     Rules, in order of the words:
+     - "to" between two verbs, unless the first is a modal (can, will, let…)
+     - plural noun after a number or quantity word (two, some, many…)
+     - a/an before a noun phrase that follows a verb and has no determiner
+     - third-person -s on the first verb after he/she/it or a singular noun
+     Tokens that play a recording keep their text; words added by the rules
+     are spoken by TTS. */
+  const POS_TYPES = ['noun','verb','adjective','pronoun','determiner','preposition','conjunction','other'];
+
+  const GRAMMAR_LEXICON = (()=>{
+    const lex = {};
+    const add = (pos, words, extra)=> words.split(' ').forEach(w=>{ lex[w] = Object.assign({ pos }, extra); });
+    add('pronoun', 'i you we they me him her us them');
+    add('pronoun', 'he she it', { third: true });
+    add('determiner', 'a an the my your his its our their every each another no any one');
+    add('determiner', 'this that', { third: true });
+    add('determiner', 'two three four five six seven eight nine ten some many several few these those lots', { plural: true });
+    add('verb', 'can could will would shall should may might must let make help', { modal: true });
+    add('preposition', 'to in on at with for from of about into under over');
+    add('conjunction', 'and but or because so then when');
+    return lex;
+  })();
+
+  const THIRD_IRREGULAR = { be:'is', have:'has', do:'does' };
+
+  function thirdPerson(word){
+    const lw = word.toLowerCase();
+    if (THIRD_IRREGULAR[lw]) return THIRD_IRREGULAR[lw];
+    if (/[^aeiou]y$/i.test(word)) return word.slice(0, -1) + 'ies';
+    if (/(s|sh|ch|x|z|o)$/i.test(word)) return word + 'es';
+    return word + 's';
+  }
+
+  function pluralOf(word){
+    if (/[^aeiou]y$/i.test(word)) return word.slice(0, -1) + 'ies';
+    if (/(s|sh|ch|x|z)$/i.test(word)) return word + 'es';
+    return word + 's';
+  }
+
+  // What the rules need to know about one token; a pad's pos wins over the lexicon.
+  function grammarInfo(tok){
+    const p    = tokenPad(tok);
+    const text = (tok.text && tok.text.trim()) || tok.name || '';
+    const info = Object.assign({ pos: '' }, /\s/.test(text) ? null : GRAMMAR_LEXICON[text.toLowerCase()]);
+    const g    = p && p.grammar;
+    if (g && g.pos) info.pos = g.pos;
+    info.formThird  = (g && g.third) || '';
+    info.formPlural = (g && g.plural) || '';
+    info.article    = (g && g.article) || '';
+    info.text  = text;
+    info.fixed = !!(p && p.buffer && !tok.tts);
+    return info;
+  }
+
+  function grammarWord(word){
+    return { name: word, text: word, tts: true, color: KEYBOARD_TOKEN_COLOR };
+  }
+
+  // Tokens → tokens as spoken; the input array and its tokens are left untouched.
+  function applyGrammar(arr){
+    const out = [];
+    let subject  = null;    // 'third' | 'other' once the clause has a subject
+    let verbSeen = false;   // the clause's first verb has been placed
+    let prev     = null;    // info of the previous word
+    let adjRun   = null;    // {at, before} while adjectives lead up to a noun
+
+    for (const tok of arr){
+      const w = grammarInfo(tok);
+      let text = w.text;
+
+      if (w.pos === 'adjective'){
+        if (!adjRun) adjRun = { at: out.length, before: prev };
+      }else if (w.pos === 'noun'){
+        const lead = adjRun ? adjRun.before : prev;
+        const at   = adjRun ? adjRun.at : out.length;
+        const many = !!(lead && lead.plural);
+        if (many && !w.fixed){
+          text = w.formPlural || text.replace(/\S+$/, pluralOf);
+        }else if (!many && lead && lead.pos === 'verb' && w.article !== 'none'){
+          const first = adjRun ? out[at].text : text;
+          const art   = (!adjRun && w.article) || (/^[aeiou]/i.test(first) ? 'an' : 'a');
+          out.splice(at, 0, grammarWord(art));
+        }
+        if (!verbSeen) subject = many ? 'other' : 'third';
+      }else if (w.pos === 'pronoun' || (w.pos === 'determiner' && w.third)){
+        if (!verbSeen) subject = w.third ? 'third' : 'other';
+      }else if (w.pos === 'verb'){
+        if (prev && prev.pos === 'verb' && !prev.modal){
+          out.push(grammarWord('to'));
+        }else if (!verbSeen && subject === 'third' && !w.modal && !w.fixed){
+          text = w.formThird || text.replace(/^\S+/, thirdPerson);
+        }
+        verbSeen = true;
+      }else if (w.pos === 'conjunction'){
+        subject  = null;
+        verbSeen = false;
+      }
+      if (w.pos !== 'adjective') adjRun = null;
+
+      out.push(text === w.text ? tok : Object.assign({}, tok, { text }));
+      prev = w;
+    }
+    return out;
+  }
+
   /* ========= sentence builder ========= */
   let composeMode     = false;
   let playingSentence = false;
@@ -778,8 +1771,13 @@ Created by Scott Russo.
 
   composeBtn.onclick = ()=> setCompose(!composeMode);
 
+  // The sentence as spoken: grammar-processed when the kit turns it on.
+  function spokenTokens(arr){
+    return grammarChk && grammarChk.checked ? applyGrammar(arr) : arr;
+  }
+
   function sentenceToText(arr){
-    return arr.map(t => (t.text && t.text.trim()) || t.name || '—').join(' ');
+    return spokenTokens(arr).map(t => (t.text && t.text.trim()) || t.name || '—').join(' ');
   }
 
   function renderSentence(){
@@ -799,14 +1797,21 @@ Created by Scott Russo.
       const label = document.createElement('div');
       label.textContent = (t.text && t.text.trim()) || t.name;
 
+      const tp = tokenPad(t);
+      if (tokenMissing(t)){
+        chip.classList.add('missing');
+        chip.title = 'Missing pad: it was deleted or replaced. Spoken by TTS if enabled';
+        label.textContent = '⚠ ' + label.textContent;
+      }else if (!tp || !tp.buffer){
+        chip.classList.add('tts-only');
+        chip.title = 'No recording: spoken by TTS live, left out of WAV renders';
+      }
+
       const x = document.createElement('button');
       x.className = 'x';
       x.textContent = '×';
       x.title = 'Remove';
-      x.onclick = ()=>{
-        App.sentence.splice(i,1);
-        renderSentence();
-      };
+      x.onclick = ()=> sentenceRemove(i);
 
       chip.appendChild(dot);
       chip.appendChild(label);
@@ -817,44 +1822,211 @@ Created by Scott Russo.
     transcriptEl.textContent = s.length ? sentenceToText(s) : '—';
   }
 
-  function msFromWPM(wpm){
-    wpm = Math.max(1, Number(wpm) || 120);
-    return Math.round(60000 / wpm);
+  /* ---- sentence model ----
+     Every edit to App.sentence goes through these so chips and transcript
+     stay in sync. Pad tokens carry the pad id (pid); typed words carry
+     tts:true and are always spoken. Tokens from older kits carry gid/idx
+     until resolveLegacyToken gives them a pid. */
+  const KEYBOARD_TOKEN_COLOR = '#5DD7D0';
+
+  function cleanToken(t){
+    if (!t) return null;
+    const text = (t.text != null && String(t.text).trim()) || (t.name != null && String(t.name).trim()) || '';
+    const tok  = { name: t.name || text, text, color: t.color };
+    if (t.pid) tok.pid = String(t.pid);
+    else if (t.gid != null){
+      tok.gid = t.gid;
+      tok.idx = t.idx;
+    }
+    if (t.tts)  tok.tts  = true;
+    if (t.from) tok.from = String(t.from);
+    return tok;
   }
 
-  function wpmFromMs(ms){
-    ms = Math.max(1, Number(ms) || 250);
-    return Math.max(1, Math.round(60000 / ms));
+  function padToken(g, idx){
+    const p    = g.pads[idx];
+    const text = (p.phrase && p.phrase.trim()) ? p.phrase.trim() : p.name;
+    return { pid: p.id, name: p.name, text, color: g.color };
   }
 
-  async function playWordToken(tok){
-    const g = App.groups.find(x => x.id === tok.gid);
-    const p = g ? g.pads[tok.idx] : null;
-    const spoken  = (tok.text && tok.text.trim()) || tok.name || 'blank';
-    const useTTS  = (!p || !p.buffer) && ttsFallbackChk.checked && 'speechSynthesis' in window;
-    const gap     = Number(gapMsNum.value || 250);
+  function resolveLegacyToken(tok){
+    if (tok && !tok.pid && tok.gid != null){
+      const p = tokenPad(tok);
+      if (p){
+        tok.pid = p.id;
+        delete tok.gid;
+        delete tok.idx;
+      }
+    }
+    return tok;
+  }
 
-    if (p && p.buffer){
-      const rate  = Math.pow(2, (p.tune + (p.fine/100)) / 12);
-      const durMs = Math.max(10, Math.round((p.buffer.duration / rate) * 1000));
-      triggerRetrigger(p, 1.0);
-      return new Promise(res=>{
-        currentTimeout = setTimeout(res, durMs + gap);
-      });
-    }else if (useTTS){
-      return ttsSpeak(spoken, gap);
+  // A token that names a pad which no longer exists.
+  function tokenMissing(tok){
+    return !!(tok.pid || tok.gid != null) && !tokenPad(tok);
+  }
+
+  // Accepts a token, a pad reference {pid} or {gid, idx}, or a plain string (spoken by TTS).
+  function makeToken(t){
+    if (typeof t === 'string') t = { text: t, tts: true };
+    if (!t) return null;
+    if (t.pid && !t.text && !t.name){
+      const hit = findPadById(t.pid);
+      if (hit) return padToken(hit.g, hit.idx);
+    }
+    if (t.gid != null && !t.text && !t.name){
+      const g = App.groups.find(x => x.id === t.gid);
+      if (g && g.pads[t.idx]) return padToken(g, t.idx);
+    }
+    const tok = cleanToken(t);
+    if (!tok.text) return null;
+    if (tok.tts && !tok.color) tok.color = KEYBOARD_TOKEN_COLOR;
+    return tok;
+  }
+
+  function sentenceInsert(i, t){
+    const tok = makeToken(t);
+    if (!tok) return -1;
+    i = Math.max(0, Math.min(App.sentence.length, Number.isInteger(i) ? i : App.sentence.length));
+    pushUndo('Add word', { scope: 'sentence' });
+    App.sentence.splice(i, 0, tok);
+    const before = App.sentence[i - 1];
+    vocabLearn(tok.text, before ? lastWord(before.text) : '');
+    renderSentence();
+    return i;
+  }
+
+  function lastWord(text){
+    const w = String(text || '').trim().split(/\s+/);
+    return w[w.length - 1] || '';
+  }
+
+  function sentenceAdd(t){
+    return sentenceInsert(App.sentence.length, t);
+  }
+
+  function sentenceRemove(i){
+    if (!(i >= 0 && i < App.sentence.length)) return null;
+    pushUndo('Remove word', { scope: 'sentence' });
+    const [tok] = App.sentence.splice(i, 1);
+    renderSentence();
+    return tok;
+  }
+
+  function sentenceMove(from, to){
+    const n = App.sentence.length;
+    if (!(from >= 0 && from < n)) return false;
+    to = Math.max(0, Math.min(n - 1, to | 0));
+    if (to === from) return true;
+    pushUndo('Move word', { scope: 'sentence' });
+    const [tok] = App.sentence.splice(from, 1);
+    App.sentence.splice(to, 0, tok);
+    renderSentence();
+    return true;
+  }
+
+  function sentenceClear(){
+    if (!App.sentence.length) return;
+    pushUndo('Clear sentence', { scope: 'sentence' });
+    App.sentence.length = 0;
+    renderSentence();
+  }
+
+  /* ---- pacing ----
+     Each word gets a slot of 60000/WPM ms: the next word starts once both the
+     slot and the minimum gap after the word have passed. TTS speaks at a rate
+     scaled from WPM, and "fit samples" time-stretches recordings to the slot. */
+  const WPM_MIN      = 20;
+  const WPM_MAX      = 300;
+  const TTS_BASE_WPM = 150;
+
+  function msFromWPM(wpm){
+    wpm = Math.max(1, Number(wpm) || 120);
+    return Math.round(60000 / wpm);
+  }
+
+  function currentWpm(){
+    const v = Number(wpmNum && wpmNum.value);
+    return Math.max(WPM_MIN, Math.min(WPM_MAX, v || 120));
+  }
+
+  function ttsRateForWpm(wpm){
+    return Math.max(0.5, Math.min(2.5, wpm / TTS_BASE_WPM));
+  }
+
+  // Pacing from the sentence bar, or from a stored scene when one is given.
+  function pacing(sc){
+    const wpm = sc
+      ? Math.max(WPM_MIN, Math.min(WPM_MAX, Number(sc.wpm) || currentWpm()))
+      : currentWpm();
+    return {
+      wpm,
+      slot   : msFromWPM(wpm),
+      gap    : Math.max(0, Number(sc ? sc.gapMs : gapMsNum.value) || (sc ? 0 : 250)),
+      stretch: !!(stretchChk && stretchChk.checked)
+    };
+  }
+
+  function tokenPad(tok){
+    if (tok.pid){
+      const hit = findPadById(tok.pid);
+      return hit ? hit.p : null;
+    }
+    if (tok.gid == null) return null;
+    const g = App.groups.find(x => x.id === tok.gid);
+    return g ? (g.pads[tok.idx] || null) : null;
+  }
+
+  /* How a token plays under a pacing: the pad and stretch speed for recorded
+     pads, and how long to wait before the next word. TTS timing is only an
+     estimate here; live playback measures the real utterance. */
+  function tokenPlan(tok, pace){
+    const p = tokenPad(tok);
+    const spoken = (tok.text && tok.text.trim()) || tok.name || 'blank';
+
+    if (p && p.buffer){
+      const natural = padPlayDuration(p) * 1000;
+      let speed = 1;
+      if (pace.stretch && !p.loop){
+        speed = Math.max(STRETCH_MIN, Math.min(STRETCH_MAX, natural / Math.max(50, pace.slot - pace.gap)));
+      }
+      const durMs = Math.max(10, Math.round(natural / speed));
+      return { p, spoken, speed, durMs, waitMs: Math.max(durMs + pace.gap, pace.slot) };
+    }
+    return { p, spoken, speed: 1, durMs: 0, waitMs: Math.max(pace.gap, pace.slot) };
+  }
+
+  function sentenceWait(ms){
+    return new Promise(res=>{
+      currentTimeout = setTimeout(res, Math.max(0, ms));
+    });
+  }
+
+  async function playWordToken(tok){
+    const pace   = pacing();
+    const plan   = tokenPlan(tok, pace);
+    const p      = plan.p;
+    const useTTS = (tok.tts || ((!p || !p.buffer) && ttsFallbackChk.checked)) && 'speechSynthesis' in window;
+
+    if (p && p.buffer && !tok.tts){
+      triggerRetrigger(p, 1.0, plan.speed);
+      return sentenceWait(plan.waitMs);
+    }else if (useTTS){
+      const t0 = Date.now();
+      await ttsSpeak(plan.spoken, 0, Object.assign(ttsOptsForPad(p), {rate: ttsRateForWpm(pace.wpm)}));
+      return sentenceWait(Math.max(pace.gap, pace.slot - (Date.now() - t0)));
     }else{
-      return new Promise(res=>{
-        currentTimeout = setTimeout(res, gap);
-      });
+      return sentenceWait(plan.waitMs);
     }
   }
 
   async function playSentence(arr){
     if (!arr || arr.length === 0) return;
+    arr = spokenTokens(arr);
     playingSentence = true;
     playAbort       = false;
     if (seqStatus) seqStatus.textContent = 'playing';
+    await prepareStretches(arr, pacing());
 
     for (let i=0;i<arr.length;i++){
       if (playAbort) break;
@@ -878,36 +2050,258 @@ Created by Scott Russo.
     if (seqStatus) seqStatus.textContent = 'ready';
   }
 
-  sentencePlayBtn.onclick = async ()=>{
+  // Play/stop toggle behind the Play button and the speak/story command pads,
+  // so all of them agree on what is playing.
+  async function playOrStop(useChain){
     if (playingSentence){
       stopSentence();
       return;
     }
+    if (useChain) await playChain();
+    else await playSentence(App.sentence);
+  }
+
+  sentencePlayBtn.onclick = ()=> playOrStop(songMode);
+
+  async function playChain(){
+    if (chain.length === 0) chain = defaultChain();
+    saveCurrentScene();
+    playingSentence = true;
+    playAbort       = false;
+    const keepGap = gapMsNum.value, keepWpm = wpmNum.value;
+    for (let i=0;i<chain.length;i++){
+      if (playAbort) break;
+      const sc = ensureScene(chain[i]);
+      // each scene plays at its own pace
+      gapMsNum.value = String(sc.gapMs);
+      wpmNum.value   = String(sc.wpm || keepWpm);
+      await playSentence(sc.sentence);
+    }
+    gapMsNum.value = keepGap;
+    wpmNum.value   = keepWpm;
+    playingSentence = false;
+    if (seqStatus) seqStatus.textContent = 'ready';
+  }
+
+  sentenceStopBtn.onclick = stopSentence;
+
+  sentenceBackBtn.onclick = ()=> sentenceRemove(App.sentence.length - 1);
+
+  sentenceClearBtn.onclick = sentenceClear;
+
+  if (grammarChk) grammarChk.onchange = ()=> renderSentence();
+
+  window.MED_SENTENCE = {
+    get tokens(){ return App.sentence.map(cleanToken); },
+    addToken   : sentenceAdd,
+    insertToken: sentenceInsert,
+    removeToken: sentenceRemove,
+    moveToken  : sentenceMove,
+    clear      : sentenceClear,
+    play       : ()=> playSentence(App.sentence),
+    stop       : stopSentence
+  };
+  window.sentenceAddToken = sentenceAdd;
+
+  window.MedPadAPI = window.MedPadAPI || {};
+  window.MedPadAPI.addWordToken = text => sentenceAdd({ text: String(text || ''), tts: true, from: 'keyboard' });
+  // prev defaults to the last word already in the sentence
+  window.MedPadAPI.predictWords = (prefix, prev)=>{
+    if (prev == null){
+      const t = App.sentence[App.sentence.length - 1];
+      prev = t ? lastWord(t.text) : '';
+    }
+    return predictWords(prefix, prev);
+  };
+  window.MedPadAPI.vocab = { words: vocabWords, add: vocabAdd, remove: vocabRemove };
+
+  /* ---- offline render ----
+     Mixes recorded pads through the same chain as live playback, on the same
+     word timeline. TTS cannot be captured, so those words keep their slot as
+     silence and are reported back. Loops stop at the end of their slot and a
+     choke group cuts earlier voices just as it does live. */
+  const RENDER_LEAD = 0.05;
+
+  async function renderSentenceWav(parts){
+    const events  = [];
+    const skipped = [];
+    let t   = RENDER_LEAD;
+    let end = t;
+
+    for (const part of parts){
+      const pace = pacing(part.scene);
+      for (const tok of part.tokens){
+        const plan = tokenPlan(tok, pace);
+        if (plan.p && plan.p.buffer){
+          events.push({ p: plan.p, at: t, speed: plan.speed, slot: plan.waitMs / 1000 });
+          end = Math.max(end, t + plan.durMs / 1000 + plan.p.env.r * 5);
+        }else{
+          skipped.push(plan.spoken);
+        }
+        t += plan.waitMs / 1000;
+      }
+    }
+    if (!events.length) return { buffer: null, skipped };
+    await Promise.all(events.filter(ev => ev.speed !== 1).map(ev => prepareStretch(ev.p, ev.speed)));
+
+    const sr  = actx.sampleRate;
+    const len = Math.ceil((Math.max(t, end) + 0.1) * sr);
+    const ctx = new OfflineAudioContext(2, len, sr);
+    const out = ctx.createGain();
+    out.gain.value = master.gain.value;
+    out.connect(ctx.destination);
+
+    const choked = {};
+    for (const ev of events){
+      const n = Number(ev.p.choke) || 0;
+      if (n && choked[n]){
+        for (const v of choked[n]){
+          if (v.p === ev.p) continue;
+          v.a.gain.cancelScheduledValues(ev.at);
+          v.a.gain.setTargetAtTime(0, ev.at, CHOKE_FADE / 4);
+          try{ v.src.stop(ev.at + CHOKE_FADE + 0.005); }catch(_){}
+        }
+        choked[n] = choked[n].filter(v => v.p === ev.p);
+      }
+      const v = startPadVoice(ctx, out, ev.p, ev.at, 1.0, ev.speed);
+      v.p = ev.p;
+      if (n) (choked[n] = choked[n] || []).push(v);
+      if (v.src.loop){
+        const stopAt = ev.at + ev.slot;
+        v.a.gain.setTargetAtTime(0, stopAt, Math.max(0.001, ev.p.env.r));
+        v.src.stop(stopAt + Math.max(0.001, ev.p.env.r) * 5);
+      }
+    }
+
+    return { buffer: await ctx.startRendering(), skipped };
+  }
+
+  if (renderWavBtn) renderWavBtn.onclick = async ()=>{
+    if (typeof OfflineAudioContext === 'undefined'){
+      status('Render WAV needs OfflineAudioContext (not supported in this browser)');
+      return;
+    }
+    let parts, name;
     if (songMode){
       if (chain.length === 0) chain = defaultChain();
-      for (let i=0;i<chain.length;i++){
-        if (playAbort) break;
-        const idx = chain[i];
-        ensureScene(idx);
-        await playSentence(scenes[idx].sentence);
+      saveCurrentScene();
+      parts = chain.map(i => ({ scene: ensureScene(i), tokens: ensureScene(i).sentence }));
+      name  = 'aac_story.wav';
+    }else{
+      parts = [{ scene: null, tokens: App.sentence }];
+      name  = 'aac_sentence.wav';
+    }
+    if (!parts.some(x => x.tokens.length)){
+      status('Nothing to render');
+      return;
+    }
+
+    renderWavBtn.disabled = true;
+    if (seqStatus) seqStatus.textContent = 'rendering';
+    try{
+      const {buffer, skipped} = await renderSentenceWav(parts);
+      const note = skipped.length
+        ? ` — skipped TTS-only: ${skipped.map(w => `"${w}"`).join(', ')}`
+        : '';
+      if (!buffer){
+        status('Nothing to render: no recorded pads' + note);
+        return;
       }
-      playingSentence = false;
+      downloadBlob(new Blob([await encodeWav(buffer)], {type:'audio/wav'}), name);
+      status(`Rendered ${buffer.duration.toFixed(1)}s WAV${note}`);
+    }catch(err){
+      report('renderWav', err);
+    }finally{
+      renderWavBtn.disabled = false;
       if (seqStatus) seqStatus.textContent = 'ready';
-      return;
     }
-    await playSentence(App.sentence);
   };
 
-  sentenceStopBtn.onclick = stopSentence;
+  /* ========= board navigation =========
+     "Open board" pads show another group, hiding their own unless told not to.
+     Each jump pushes what was on screen, so Back pops one level and Home goes
+     to where the first jump started. A jump made with "return after one pick"
+     pops itself once a pad on the opened board has been pressed. */
+  const navBackBtn = $('#navBackBtn');
+  const navHomeBtn = $('#navHomeBtn');
+  const navStack   = [];   // {visible:[gid…], focusGid, returnGid}
+
+  function renderNavButtons(){
+    const top = navStack[navStack.length - 1];
+    if (navBackBtn){
+      navBackBtn.disabled = !top;
+      navBackBtn.title    = top ? 'Back to the previous board' : 'No board to go back to';
+    }
+    if (navHomeBtn) navHomeBtn.disabled = !top;
+  }
 
-  sentenceBackBtn.onclick = ()=>{
-    App.sentence.pop();
-    renderSentence();
-  };
+  // Groups deleted since the snapshot was taken are skipped.
+  function showBoards(snap){
+    App.visible.clear();
+    snap.visible.forEach(id=>{ if (App.groups.some(g => g.id === id)) App.visible.add(id); });
+    App.focusGid = App.visible.has(snap.focusGid) ? snap.focusGid : null;
+    renderGroupList();
+    renderBoards();
+    renderNavButtons();
+  }
 
-  sentenceClearBtn.onclick = ()=>{
-    App.sentence.length = 0;
-    renderSentence();
+  function followLink(g, p){
+    const target = App.groups.find(x => x.id === p.link);
+    if (!target){
+      status(`"${p.name}" opens a board that no longer exists`);
+      return;
+    }
+    navStack.push({
+      visible  : Array.from(App.visible),
+      focusGid : App.focusGid,
+      returnGid: p.linkReturn ? target.id : null
+    });
+    if (p.linkHide !== false && target !== g) App.visible.delete(g.id);
+    App.visible.add(target.id);
+    App.focusGid = target.id;
+    renderGroupList();
+    renderBoards();
+    renderNavButtons();
+    status(`Opened ${target.name}`);
+  }
+
+  function navBack(){
+    const snap = navStack.pop();
+    if (!snap) return;
+    showBoards(snap);
+  }
+
+  function navHome(){
+    if (!navStack.length) return;
+    const snap = navStack[0];
+    navStack.length = 0;
+    showBoards(snap);
+  }
+
+  function navReset(){
+    navStack.length = 0;
+    renderNavButtons();
+  }
+
+  function navAfterPick(gid){
+    const top = navStack[navStack.length - 1];
+    if (top && top.returnGid === gid) navBack();
+  }
+
+  if (navBackBtn) navBackBtn.onclick = navBack;
+  if (navHomeBtn) navHomeBtn.onclick = navHome;
+
+  /* ========= pad commands =========
+     Command modes give a pad the job of a sentence-bar, scene or Stop All
+     button, for users who can't reach those controls. Like every other mode
+     they run from onPadPress, so touch, keys, MIDI and scanning all work. */
+  const PAD_COMMANDS = {
+    [PadMode.SPEAK_SENTENCE]: { label:'Speak sentence',    run: ()=> playOrStop(false) },
+    [PadMode.CLEAR_SENTENCE]: { label:'Clear sentence',    run: ()=> sentenceClear() },
+    [PadMode.BACKSPACE]     : { label:'Backspace',         run: ()=> sentenceBackBtn.onclick() },
+    [PadMode.SCENE]         : { label:'Go to scene',       run: p => setScene(p.scene | 0) },
+    [PadMode.STORY_CHAIN]   : { label:'Start story chain', run: ()=> playOrStop(true) },
+    [PadMode.STOP_ALL]      : { label:'Stop all',          run: ()=> stopAllBtn.onclick() }
   };
 
   function onPadPress(gid, idx, vel){
@@ -916,6 +2310,17 @@ Created by Scott Russo.
     const p = g.pads[idx];
     if (!p) return;
 
+    if (p.mode === PadMode.NAVIGATE){
+      flashPad(gid, idx);
+      followLink(g, p);
+      return;
+    }
+    if (PAD_COMMANDS[p.mode]){
+      flashPad(gid, idx);
+      PAD_COMMANDS[p.mode].run(p);
+      return;
+    }
+
     if (p.mode === PadMode.RETRIGGER)          triggerRetrigger(p, vel);
     else if (p.mode === PadMode.TOGGLE_START)  togglePad(p, false);
     else if (p.mode === PadMode.TOGGLE_RESUME) togglePad(p, true);
@@ -927,16 +2332,294 @@ Created by Scott Russo.
 
     if ((!p.buffer) && ttsFallbackChk && ttsFallbackChk.checked){
       const spoken = (p.phrase && p.phrase.trim()) ? p.phrase.trim() : p.name;
-      ttsSpeak(spoken, Number(gapMsNum.value || 250));
+      ttsSpeak(spoken, Number(gapMsNum.value || 250), ttsOptsForPad(p));
     }
 
-    if (composeMode){
-      const text = (p.phrase && p.phrase.trim()) ? p.phrase.trim() : p.name;
-      App.sentence.push({ gid, idx, name: p.name, text, color: g.color });
-      renderSentence();
-    }
+    if (composeMode) sentenceAdd(padToken(g, idx));
 
     flashPad(gid, idx);
+    navAfterPick(gid);
+  }
+
+  /* ========= speech settings ========= */
+  const ttsVoiceSel   = $('#ttsVoiceSel');
+  const ttsLangSel    = $('#ttsLangSel');
+  const ttsRateNum    = $('#ttsRateNum');
+  const ttsPitchNum   = $('#ttsPitchNum');
+  const ttsVolumeNum  = $('#ttsVolumeNum');
+  const ttsTestBtn    = $('#ttsTestBtn');
+  const kitVoiceSel   = $('#kitVoiceSel');
+  const kitLangSel    = $('#kitLangSel');
+  const kitVoiceApply = $('#kitVoiceApplyBtn');
+
+  // selectedOnly renders just the current choice; editor rows fill the full list on focus.
+  function voiceOptionsHtml(selected, emptyLabel, selectedOnly){
+    const all    = ttsVoices();
+    const voices = selectedOnly ? all.filter(v => v.voiceURI === selected) : all;
+    let html = `<option value="">${emptyLabel}</option>`;
+    for (const v of voices){
+      html += `<option value="${escHtml(v.voiceURI)}" ${v.voiceURI === selected ? 'selected' : ''}>${escHtml(v.name)} (${escHtml(v.lang)})</option>`;
+    }
+    // keep a saved voice this device does not have, so it is not silently dropped
+    if (selected && !all.some(v => v.voiceURI === selected)){
+      html += `<option value="${escHtml(selected)}" selected>${escHtml(selected)} (not on this device)</option>`;
+    }
+    return html;
+  }
+
+  function langOptionsHtml(selected, emptyLabel){
+    const langs = Array.from(new Set(ttsVoices().map(v => v.lang).filter(Boolean)));
+    if (selected && !langs.includes(selected)) langs.push(selected);
+    langs.sort();
+    return `<option value="">${emptyLabel}</option>` +
+      langs.map(l => `<option value="${escHtml(l)}" ${l === selected ? 'selected' : ''}>${escHtml(l)}</option>`).join('');
+  }
+
+  function renderTtsUi(){
+    if (!ttsVoiceSel) return;
+    ttsVoiceSel.innerHTML = voiceOptionsHtml(App.tts.voice, 'System default');
+    ttsLangSel.innerHTML  = langOptionsHtml(App.tts.lang, 'Auto');
+    ttsRateNum.value   = String(App.tts.rate);
+    ttsPitchNum.value  = String(App.tts.pitch);
+    ttsVolumeNum.value = String(App.tts.volume);
+    if (kitVoiceSel){
+      kitVoiceSel.innerHTML = voiceOptionsHtml(kitVoiceSel.value, 'Global voice');
+      kitLangSel.innerHTML  = langOptionsHtml(kitLangSel.value, 'Global language');
+    }
+  }
+
+  function sanitizeTts(src){
+    const d = { voice:'', lang:'', rate:1, pitch:1, volume:1 };
+    if (!src || typeof src !== 'object') return d;
+    const num = (v, lo, hi, def)=> (typeof v === 'number' && isFinite(v)) ? Math.max(lo, Math.min(hi, v)) : def;
+    return {
+      voice : typeof src.voice === 'string' ? src.voice : '',
+      lang  : typeof src.lang === 'string' ? src.lang : '',
+      rate  : num(src.rate, 0.1, 4, 1),
+      pitch : num(src.pitch, 0, 2, 1),
+      volume: num(src.volume, 0, 1, 1)
+    };
+  }
+
+  if ('speechSynthesis' in window){
+    try{
+      window.speechSynthesis.addEventListener('voiceschanged', ()=>{
+        renderTtsUi();
+        if (kitEditor.classList.contains('show')) rebuildEditor();
+      });
+    }catch(_){}
+  }
+
+  if (ttsVoiceSel){
+    ttsVoiceSel.onchange = ()=>{ App.tts.voice = ttsVoiceSel.value; };
+    ttsLangSel.onchange  = ()=>{ App.tts.lang  = ttsLangSel.value; };
+    ttsRateNum.onchange  = ()=>{
+      App.tts.rate = sanitizeTts({rate: Number(ttsRateNum.value)}).rate;
+      ttsRateNum.value = String(App.tts.rate);
+    };
+    ttsPitchNum.onchange = ()=>{
+      App.tts.pitch = sanitizeTts({pitch: Number(ttsPitchNum.value)}).pitch;
+      ttsPitchNum.value = String(App.tts.pitch);
+    };
+    ttsVolumeNum.onchange = ()=>{
+      App.tts.volume = sanitizeTts({volume: Number(ttsVolumeNum.value)}).volume;
+      ttsVolumeNum.value = String(App.tts.volume);
+    };
+    ttsTestBtn.onclick = ()=>{
+      const s = sentenceToText(App.sentence);
+      ttsSpeak(App.sentence.length ? s : 'Hello, this is my voice.', 0);
+    };
+  }
+
+  // Give every pad in the edited group the same voice/language (e.g. a Spanish board).
+  if (kitVoiceApply){
+    kitVoiceApply.onclick = ()=>{
+      const g = App.groups.find(x => x.id === App.editGid);
+      if (!g) return;
+      for (const p of g.pads){
+        p.ttsVoice = kitVoiceSel.value;
+        p.ttsLang  = kitLangSel.value;
+      }
+      rebuildEditor();
+      status(`Speech for "${g.name}" set to ${kitVoiceSel.value || kitLangSel.value || 'global default'}`);
+    };
+  }
+
+  /* ========= speech → sample ========= */
+  /* "Generate from phrase" renders a pad's phrase to an AudioBuffer and stores it
+     like a recording, so the kit sounds the same on every device. Backends are
+     async (text, opts) → AudioBuffer; more can be added through
+     MedPadAPI.registerSynth(id, label, render). The default captures the
+     browser's own voice; the built-in formant synth is only a rough
+     placeholder for offline use and is not intelligible speech. */
+  const synthBackends = new Map();
+  const synthBackendSel = $('#synthBackendSel');
+
+  function registerSynth(id, label, render){
+    if (!id || typeof render !== 'function') return;
+    synthBackends.set(id, { label: label || id, render });
+    renderSynthSelect();
+  }
+
+  function renderSynthSelect(){
+    if (!synthBackendSel) return;
+    const cur = synthBackendSel.value;
+    synthBackendSel.innerHTML = '';
+    synthBackends.forEach((b, id)=>{
+      const o = document.createElement('option');
+      o.value = id;
+      o.textContent = b.label;
+      synthBackendSel.appendChild(o);
+    });
+    if (synthBackends.has(cur)) synthBackendSel.value = cur;
+  }
+
+  // Placeholder: a small formant synthesizer (glottal saw through three
+  // resonators for voiced letters, band-passed noise for fricatives/stops).
+  // It gives a pad a speech-like sound offline, not words a listener can follow.
+  const SYN_VOWELS = {
+    a:[730,1090,2440], e:[530,1840,2480], i:[270,2290,3010],
+    o:[570,840,2410],  u:[300,870,2240],  y:[270,2290,3010]
+  };
+  const SYN_VOICED = {
+    m:[280,900,2200], n:[280,1700,2600], l:[360,1300,2700], r:[420,1300,1600],
+    w:[300,610,2200], v:[220,1100,2080], z:[240,1500,2500], b:[200,900,2200],
+    d:[200,1600,2600], g:[200,1990,2850], j:[250,2100,2700]
+  };
+  const SYN_NOISE = { s:5500, f:4000, h:1500, c:2500, k:2500, p:1000, t:4500, x:3500, q:2500 };
+
+  function formantSegments(text, unit){
+    const segs = [];
+    for (const ch of String(text).toLowerCase()){
+      if (SYN_VOWELS[ch])      segs.push({ f:SYN_VOWELS[ch], dur:unit * 1.4, amp:1 });
+      else if (SYN_VOICED[ch]) segs.push({ f:SYN_VOICED[ch], dur:unit * 0.8, amp:0.45 });
+      else if (SYN_NOISE[ch])  segs.push({ noise:SYN_NOISE[ch], dur:unit * 0.8, amp:0.35 });
+      else if (/[.,!?;:]/.test(ch)) segs.push({ dur:unit * 3 });
+      else segs.push({ dur:unit });
+    }
+    return segs;
+  }
+
+  function resonator(freq, bw, sr){
+    const r = Math.exp(-Math.PI * bw / sr);
+    return { b1: 2 * r * Math.cos(2 * Math.PI * freq / sr), b2: -r * r, a0: 1 - r, y1: 0, y2: 0 };
+  }
+
+  function resonate(rz, x){
+    const y = rz.a0 * x + rz.b1 * rz.y1 + rz.b2 * rz.y2;
+    rz.y2 = rz.y1;
+    rz.y1 = y;
+    return y;
+  }
+
+  async function renderFormantSpeech(text, opts){
+    const sr   = actx.sampleRate;
+    const rate = Math.max(0.3, (opts.rate || 1) * App.tts.rate);
+    const f0   = 115 * Math.max(0.5, App.tts.pitch || 1);
+    const segs = formantSegments(text, 0.085 / rate);
+    const total = Math.ceil((segs.reduce((s, x)=> s + x.dur, 0) + 0.1) * sr);
+    const out  = new Float32Array(total);
+    const ramp = Math.round(sr * 0.012);
+    let pos = 0, phase = 0, peak = 0;
+
+    for (const seg of segs){
+      const n = Math.round(seg.dur * sr);
+      if (seg.f || seg.noise){
+        const rz = seg.f
+          ? seg.f.map((fq, k)=> resonator(fq, [80, 100, 150][k], sr))
+          : [resonator(seg.noise, 1500, sr)];
+        for (let i=0;i<n && pos + i < total;i++){
+          let x;
+          if (seg.f){
+            phase += f0 * (1 + 0.03 * Math.sin(2 * Math.PI * 5 * (pos + i) / sr)) / sr;
+            phase -= Math.floor(phase);
+            x = 1 - 2 * phase;
+          }else{
+            x = Math.random() * 2 - 1;
+          }
+          let y = 0;
+          for (const r of rz) y += resonate(r, x);
+          const env = Math.min(1, i / ramp, (n - i) / ramp);
+          const v = y * seg.amp * env;
+          out[pos + i] = v;
+          if (Math.abs(v) > peak) peak = Math.abs(v);
+        }
+      }
+      pos += n;
+    }
+    if (peak > 0){
+      for (let i=0;i<total;i++) out[i] *= 0.8 / peak;
+    }
+    const buf = actx.createBuffer(1, total, sr);
+    buf.getChannelData(0).set(out);
+    return buf;
+  }
+
+  /* Speak aloud through the browser voice and record it through the microphone
+     (speechSynthesis output cannot be routed into Web Audio directly). */
+  const MIC_RENDER_BASE_MS = 5000;
+  const MIC_RENDER_CHAR_MS = 250;        // generous even at slow speech rates
+
+  async function renderViaMic(text, opts){
+    const stream = await ensureMic();
+    const rec    = new MediaRecorder(stream);
+    const chunks = [];
+    rec.ondataavailable = e => chunks.push(e.data);
+    const stopped = new Promise(res=>{ rec.onstop = res; });
+    rec.start();
+    let timer = null;
+    try{
+      await new Promise(res => setTimeout(res, 150));
+      // the recorder must stop even if the voice never reports back
+      const timeout = new Promise(res=>{
+        timer = setTimeout(()=> res(null), MIC_RENDER_BASE_MS + text.length * MIC_RENDER_CHAR_MS);
+      });
+      const spoken = await Promise.race([ttsSpeak(text, 300, opts), timeout]);
+      if (spoken === null){
+        try{ window.speechSynthesis.cancel(); }catch(_){}
+        throw new Error('speech did not finish in time');
+      }
+      if (spoken === false) throw new Error('speech failed or was interrupted');
+    }finally{
+      clearTimeout(timer);
+      rec.stop();
+      await stopped;
+    }
+    const blob = new Blob(chunks, {type: rec.mimeType || 'audio/webm'});
+    return actx.decodeAudioData((await blob.arrayBuffer()).slice(0));
+  }
+
+  registerSynth('mic', 'Browser voice via microphone', renderViaMic);
+  registerSynth('formant', 'Rough placeholder synth (offline, not real speech)', renderFormantSpeech);
+
+  window.MedPadAPI = window.MedPadAPI || {};
+  window.MedPadAPI.registerSynth = registerSynth;
+
+  async function generatePadFromPhrase(p){
+    const text = (p.phrase && p.phrase.trim()) || p.name;
+    const id   = synthBackendSel && synthBackends.has(synthBackendSel.value) ? synthBackendSel.value : 'mic';
+    const backend = synthBackends.get(id);
+    status(`Generating "${text}"…`);
+    const buf = await backend.render(text, ttsOptsForPad(p));
+    if (!buf || !buf.length) throw new Error('synthesizer returned no audio');
+    const b64 = await audioToDataUrl(buf);
+    pushUndo('Generate ' + p.name);
+    p.buffer   = buf;
+    p.duration = buf.duration;
+    p.b64      = b64;
+    resetPadTrim(p);
+    if (id === 'mic'){
+      // room recordings carry lead-in/tail silence; trim it non-destructively
+      const r = detectTrim(buf, trimThresholdDb);
+      if (r){
+        p.trimStart = r.start;
+        p.trimEnd   = r.end;
+      }
+    }
+    p.toggleOn    = false;
+    p.savedOffset = 0;
+    p.voice       = null;
+    status(`Generated audio for ${p.name} (${backend.label})`);
   }
 
   /* ========= Kit Editor (per-group) ========= */
@@ -968,6 +2651,192 @@ Created by Scott Russo.
     renderGroupList();
   };
 
+  const FILTER_TYPES = ['lowpass','highpass','bandpass','notch','peaking','lowshelf','highshelf','allpass'];
+
+  // Sound-design parameters shown as slider + number pairs in each editor row.
+  const SOUND_PARAMS = [
+    { k:'cutoff', label:'Cutoff (Hz)', min:20,     max:20000, step:1,     log:true },
+    { k:'q',      label:'Q',           min:0.0001, max:30,    step:0.01 },
+    { k:'env.a',  label:'Attack (s)',  min:0,      max:2,     step:0.001 },
+    { k:'env.d',  label:'Decay (s)',   min:0,      max:2,     step:0.001 },
+    { k:'env.s',  label:'Sustain',     min:0,      max:1,     step:0.01 },
+    { k:'env.r',  label:'Release (s)', min:0,      max:4,     step:0.001 },
+    { k:'tune',   label:'Tune (st)',   min:-24,    max:24,    step:1 },
+    { k:'fine',   label:'Fine (ct)',   min:-100,   max:100,   step:1 }
+  ];
+  const SOUND_PARAM_BY_KEY = Object.fromEntries(SOUND_PARAMS.map(d => [d.k, d]));
+  const LOG_STEPS = 1000;
+
+  function sliderToLog(x, lo, hi){
+    return lo * Math.pow(hi / lo, Math.max(0, Math.min(LOG_STEPS, x)) / LOG_STEPS);
+  }
+
+  function logToSlider(v, lo, hi){
+    return Math.round(LOG_STEPS * Math.log(Math.max(lo, v) / lo) / Math.log(hi / lo));
+  }
+
+  function getPadParam(p, k){
+    return k.startsWith('env.') ? p.env[k.slice(4)] : p[k];
+  }
+
+  function setPadParam(p, k, v){
+    if (k.startsWith('env.')) p.env = Object.assign({}, p.env, {[k.slice(4)]: v});
+    else p[k] = v;
+  }
+
+  function soundParamHtml(p, d){
+    const v = Number(getPadParam(p, d.k));
+    const sv = d.log ? logToSlider(v, d.min, d.max) : v;
+    const rmin = d.log ? 0 : d.min;
+    const rmax = d.log ? LOG_STEPS : d.max;
+    const rstep= d.log ? 1 : d.step;
+    return `<label>${d.label}
+      <input type="range" min="${rmin}" max="${rmax}" step="${rstep}" value="${sv}" data-k="${d.k}">
+      <input type="number" min="${d.min}" max="${d.max}" step="${d.step}" value="${+v.toFixed(4)}" data-k="${d.k}">
+    </label>`;
+  }
+
+  const soundOpen   = new Set();
+  const grammarOpen = new Set();
+
+  function auditionPad(p){
+    if (p.voices.length){
+      stopPadVoices(p, true);
+      return;
+    }
+    if (p.buffer) triggerRetrigger(p, 1.0);
+    else ttsSpeak((p.phrase && p.phrase.trim()) || p.name, 0, ttsOptsForPad(p));
+  }
+
+  /* ========= waveform / trim editor ========= */
+  const peakCache = new WeakMap();
+  let trimThresholdDb = -40;
+
+  function bufferPeaks(buf, width){
+    const hit = peakCache.get(buf);
+    if (hit && hit.width === width) return hit.peaks;
+    const peaks = new Float32Array(width * 2);
+    const per   = Math.max(1, Math.floor(buf.length / width));
+    for (let c=0;c<buf.numberOfChannels;c++){
+      const d = buf.getChannelData(c);
+      for (let x=0;x<width;x++){
+        let mn = 0, mx = 0;
+        const s0 = x * per, s1 = Math.min(d.length, s0 + per);
+        for (let i=s0;i<s1;i++){
+          const v = d[i];
+          if (v < mn) mn = v;
+          if (v > mx) mx = v;
+        }
+        if (mn < peaks[x*2])   peaks[x*2]   = mn;
+        if (mx > peaks[x*2+1]) peaks[x*2+1] = mx;
+      }
+    }
+    peakCache.set(buf, {width, peaks});
+    return peaks;
+  }
+
+  // First/last 10 ms window whose RMS clears the threshold, with a little air kept.
+  function detectTrim(buf, thrDb){
+    const thr   = Math.pow(10, thrDb / 20);
+    const sr    = buf.sampleRate;
+    const win   = Math.max(1, Math.round(sr * 0.01));
+    const chans = Array.from({length:buf.numberOfChannels}, (_,c)=> buf.getChannelData(c));
+    let first = -1, last = -1;
+    for (let s0=0;s0<buf.length;s0+=win){
+      const s1 = Math.min(buf.length, s0 + win);
+      let sum = 0;
+      for (const d of chans){
+        for (let i=s0;i<s1;i++) sum += d[i] * d[i];
+      }
+      if (Math.sqrt(sum / ((s1 - s0) * chans.length)) >= thr){
+        if (first < 0) first = s0;
+        last = s1;
+      }
+    }
+    if (first < 0) return null;
+    const air = 0.02;
+    return {
+      start: Math.max(0, first / sr - air),
+      end  : Math.min(buf.duration, last / sr + air)
+    };
+  }
+
+  function drawWave(cv, p){
+    const ctx = cv.getContext('2d');
+    const w = cv.width, h = cv.height, mid = h / 2;
+    ctx.fillStyle = '#0b1215';
+    ctx.fillRect(0, 0, w, h);
+    if (!p.buffer) return;
+
+    const peaks = bufferPeaks(p.buffer, w);
+    ctx.fillStyle = 'rgba(66,198,255,.85)';
+    for (let x=0;x<w;x++){
+      const mn = peaks[x*2], mx = peaks[x*2+1];
+      ctx.fillRect(x, mid - mx * mid, 1, Math.max(1, (mx - mn) * mid));
+    }
+
+    const {s, e, len} = trimBounds(p);
+    const xs = Math.round(s / len * w);
+    const xe = Math.round(e / len * w);
+    ctx.fillStyle = 'rgba(0,0,0,.6)';
+    ctx.fillRect(0, 0, xs, h);
+    ctx.fillRect(xe, 0, w - xe, h);
+
+    const fi = Math.max(0, Number(p.fadeIn)  || 0) / len * w;
+    const fo = Math.max(0, Number(p.fadeOut) || 0) / len * w;
+    ctx.strokeStyle = 'rgba(255,204,102,.9)';
+    ctx.beginPath();
+    ctx.moveTo(xs, h);
+    ctx.lineTo(Math.min(xe, xs + fi), 0);
+    ctx.lineTo(Math.max(xs, xe - fo), 0);
+    ctx.lineTo(xe, h);
+    ctx.stroke();
+
+    ctx.fillStyle = '#30f39b';
+    ctx.fillRect(xs - 1, 0, 3, h);
+    ctx.fillStyle = '#ff6961';
+    ctx.fillRect(xe - 2, 0, 3, h);
+  }
+
+  // Drag whichever marker is nearer to the pointer.
+  function attachTrimDrag(cv, p, onChange){
+    let which = null;
+
+    function timeAt(e){
+      const r = cv.getBoundingClientRect();
+      const x = r.width ? (e.clientX - r.left) / r.width : 0;
+      return Math.max(0, Math.min(1, x)) * p.buffer.duration;
+    }
+
+    function onMove(e){
+      if (!which || !p.buffer) return;
+      const t = timeAt(e);
+      const {s, e:end} = trimBounds(p);
+      if (which === 'start') p.trimStart = Math.max(0, Math.min(t, end - 0.01));
+      else p.trimEnd = Math.min(p.buffer.duration, Math.max(t, s + 0.01));
+      onChange();
+    }
+
+    cv.addEventListener('pointerdown', (e)=>{
+      if (!p.buffer) return;
+      const t = timeAt(e);
+      const {s, e:end} = trimBounds(p);
+      which = Math.abs(t - s) <= Math.abs(t - end) ? 'start' : 'end';
+      try{ cv.setPointerCapture(e.pointerId); }catch(_){}
+      onMove(e);
+    });
+    cv.addEventListener('pointermove', onMove);
+    cv.addEventListener('pointerup', ()=>{ which = null; });
+    cv.addEventListener('pointercancel', ()=>{ which = null; });
+  }
+
+  function padDurLabel(p){
+    if (!p.duration) return '—';
+    const {s, e, len} = trimBounds(p);
+    if (s <= 0 && e >= len) return p.duration.toFixed(2) + 's';
+    return `${(e - s).toFixed(2)}s of ${p.duration.toFixed(2)}s`;
+  }
+
   function rebuildEditor(){
     kitRows.innerHTML = '';
     const g = App.groups.find(x => x.id === App.editGid) || App.groups[0];
@@ -977,7 +2846,7 @@ Created by Scott Russo.
     }
     updateEditorBadge(g);
 
-    const vocab = loadVocab();
+    const vocab = vocabWords();
 
     for (let i=0;i<g.pads.length;i++){
       const p = g.pads[i];
@@ -990,19 +2859,32 @@ Created by Scott Russo.
 
       row.innerHTML = `
         <div class="namecell">
-          <div class="padid">${g.name} • Pad ${i+1}</div>
-          <input type="text" value="${p.name}" data-k="name" placeholder="Button label (short)">
-          <input type="text" value="${p.phrase || ''}" data-k="phrase" placeholder="Phrase for sentence (long, optional)">
+          <div class="padid">${escHtml(g.name)} • Pad ${i+1}</div>
+          <input type="text" value="${escHtml(p.name)}" data-k="name" placeholder="Button label (short)">
+          <input type="text" value="${escHtml(p.phrase || '')}" data-k="phrase" placeholder="Phrase for sentence (long, optional)">
           <div class="fileline">
             <input id="${fileId}" type="file" accept="audio/*" hidden>
             <label class="btn small" for="${fileId}">Choose audio</label>
             <button class="btn small" data-k="record">Record</button>
-            <span class="dur">${p.duration ? p.duration.toFixed(2) + 's' : '—'}</span>
+            <button class="btn small" data-k="generate" title="Render the phrase to audio and store it in the pad">Generate from phrase</button>
+            <span class="dur">${padDurLabel(p)}</span>
+          </div>
+          <div class="wavebox" ${p.buffer ? '' : 'hidden'}>
+            <canvas class="wavecv" width="240" height="48" title="Drag the green (start) and red (end) markers to trim"></canvas>
+            <div class="fileline small">
+              <button class="btn small" data-k="autotrim">Auto-trim silence</button>
+              <label>Thr <input type="number" class="trimthr" min="-90" max="0" step="1" value="${trimThresholdDb}" style="width:64px"> dB</label>
+              <button class="btn small ghost" data-k="trimreset">Reset</button>
+            </div>
+            <div class="fileline small">
+              <label>Fade in (s) <input type="number" min="0" max="5" step="0.005" value="${p.fadeIn || 0}" data-k="fadeIn" style="width:72px"></label>
+              <label>Fade out (s) <input type="number" min="0" max="5" step="0.005" value="${p.fadeOut || 0}" data-k="fadeOut" style="width:72px"></label>
+            </div>
           </div>
           <div class="fileline">
             <input id="${imgId}" type="file" accept="image/*" hidden>
             <label class="btn small" for="${imgId}">Choose image</label>
-            <img src="${p.img ? p.img : ''}" alt="" style="height:28px;border-radius:4px;${p.img ? '' : 'display:none'}">
+            <img src="${p.img ? escHtml(p.img) : ''}" alt="" style="height:28px;border-radius:4px;${p.img ? '' : 'display:none'}">
             <button class="btn small ghost" data-k="imgclear">Clear</button>
           </div>
         </div>
@@ -1013,12 +2895,76 @@ Created by Scott Russo.
               <option value="toggle_start" ${p.mode === 'toggle_start' ? 'selected' : ''}>Toggle (Start)</option>
               <option value="toggle_resume" ${p.mode === 'toggle_resume' ? 'selected' : ''}>Toggle (Resume)</option>
               <option value="record" ${p.mode === 'record' ? 'selected' : ''}>Record on Pad</option>
+              <option value="navigate" ${p.mode === 'navigate' ? 'selected' : ''}>Open board</option>
+              <optgroup label="Commands">
+                ${Object.entries(PAD_COMMANDS).map(([m, c]) => `<option value="${m}" ${p.mode === m ? 'selected' : ''}>${c.label}</option>`).join('')}
+              </optgroup>
             </select>
           </label>
+          <span class="modeopts" data-mode="scene" ${p.mode === 'scene' ? '' : 'hidden'}>
+            <label>Scene
+              <select data-k="scene" style="min-width:70px">
+                ${sceneLabels.map((lab, n)=> `<option value="${n}" ${(p.scene | 0) === n ? 'selected' : ''}>${lab}</option>`).join('')}
+              </select>
+            </label>
+          </span>
+          <span class="modeopts" data-mode="navigate" ${p.mode === 'navigate' ? '' : 'hidden'}>
+            <label title="Pressing the pad shows this board">Opens
+              <select data-k="link">
+                <option value="">—</option>
+                ${App.groups.filter(o => o.id !== g.id).map(o => `<option value="${escHtml(o.id)}" ${p.link === o.id ? 'selected' : ''}>${escHtml(o.name)}</option>`).join('')}
+              </select>
+            </label>
+            <label title="Hide the board this pad is on while the other is open">Hide this board <input type="checkbox" ${p.linkHide !== false ? 'checked' : ''} data-k="linkHide"></label>
+            <label title="Go back by itself after one pad is picked on the opened board">Return after one pick <input type="checkbox" ${p.linkReturn ? 'checked' : ''} data-k="linkReturn"></label>
+          </span>
           <label>Gain <input type="number" min="0" max="2" step="0.01" value="${p.gain}" data-k="gain" style="width:90px"></label>
           <label>Pan  <input type="number" min="-1" max="1" step="0.01" value="${p.pan}" data-k="pan" style="width:90px"></label>
           <label>Loop <input type="checkbox" ${p.loop ? 'checked' : ''} data-k="loop"></label>
           <label>Reverse <input type="checkbox" ${p.reverse ? 'checked' : ''} data-k="reverse"></label>
+          <label>Choke
+            <select data-k="choke" title="Pads in the same choke group cut each other off">
+              <option value="0" ${!p.choke ? 'selected' : ''}>Off</option>
+              ${Array.from({length:CHOKE_GROUPS}, (_,n)=> `<option value="${n+1}" ${Number(p.choke) === n+1 ? 'selected' : ''}>${n+1}</option>`).join('')}
+            </select>
+          </label>
+          <button class="btn small" data-k="audition" title="Play this pad once with the current settings">Audition</button>
+          <label>Voice
+            <select data-k="ttsVoice">${voiceOptionsHtml(p.ttsVoice, 'Global', true)}</select>
+          </label>
+          <label>Lang
+            <select data-k="ttsLang" style="min-width:90px">${langOptionsHtml(p.ttsLang, 'Global')}</select>
+          </label>
+          <button class="btn small" data-k="midilearn" data-gid="${g.id}" data-idx="${i}" aria-pressed="false" title="Press, then hit a key or pad on your MIDI controller">MIDI: learn</button>
+          <details class="kit-sound" ${soundOpen.has(g.id + ':' + i) ? 'open' : ''}>
+            <summary>Filter • Envelope • Tuning</summary>
+            <div class="kit-sound-grid">
+              <label>Filter
+                <select data-k="filterType">
+                  ${FILTER_TYPES.map(ft => `<option value="${ft}" ${p.filterType === ft ? 'selected' : ''}>${ft}</option>`).join('')}
+                </select>
+              </label>
+              ${SOUND_PARAMS.map(d => soundParamHtml(p, d)).join('')}
+            </div>
+          </details>
+          <details class="kit-sound kit-grammar" ${grammarOpen.has(g.id + ':' + i) ? 'open' : ''}>
+            <summary>Grammar</summary>
+            <div class="kit-sound-grid">
+              <label>Part of speech
+                <select data-k="grammar.pos" style="min-width:110px">
+                  <option value="">—</option>
+                  ${POS_TYPES.map(pos => `<option value="${pos}" ${p.grammar.pos === pos ? 'selected' : ''}>${pos}</option>`).join('')}
+                </select>
+              </label>
+              <label title="Verbs: the form after he/she/it; blank adds -s">He/she form <input type="text" value="${escHtml(p.grammar.third)}" data-k="grammar.third" placeholder="auto" style="width:90px"></label>
+              <label title="Nouns: the form after two, some, many…; blank adds -s">Plural <input type="text" value="${escHtml(p.grammar.plural)}" data-k="grammar.plural" placeholder="auto" style="width:90px"></label>
+              <label title="Nouns: the article added after a verb">Article
+                <select data-k="grammar.article" style="min-width:80px">
+                  ${[['','Auto'],['a','a'],['an','an'],['none','None']].map(([v, lab]) => `<option value="${v}" ${p.grammar.article === v ? 'selected' : ''}>${lab}</option>`).join('')}
+                </select>
+              </label>
+            </div>
+          </details>
         </div>
       `;
 
@@ -1051,6 +2997,7 @@ Created by Scott Russo.
 
         function applyVocab(val){
           if (!val) return;
+          pushUndo('Map vocabulary');
           const prevName = p.name;
           p.name = val;
           if (!p.phrase || p.phrase.trim() === '' || p.phrase === prevName){
@@ -1078,8 +3025,7 @@ Created by Scott Russo.
         delBtn.onclick = ()=>{
           const val = sel.value;
           if (!val) return;
-          const list = loadVocab().filter(w => w !== val);
-          saveVocab(list);
+          vocabRemove(val);
           status(`Deleted "${val}" from vocabulary`);
           rebuildEditor();
         };
@@ -1096,9 +3042,34 @@ Created by Scott Russo.
         const t = e.target;
         const k = t.dataset.k;
         if (!k) return;
+        pushUndo('Edit ' + p.name, { key: `pad:${p.id}:${k}` });
 
         if (t.type === 'checkbox'){
           p[k] = !!t.checked;
+        }else if (k === 'choke'){
+          p.choke = Number(t.value) || 0;
+        }else if (k === 'link'){
+          p.link = t.value || null;
+        }else if (k === 'scene'){
+          p.scene = Number(t.value) || 0;
+        }else if (k.startsWith('grammar.')){
+          p.grammar = Object.assign({}, p.grammar, { [k.slice(8)]: t.value.trim() });
+          renderSentence();
+        }else if (k === 'mode'){
+          p.mode = t.value;
+          row.querySelectorAll('.modeopts').forEach(el=>{ el.hidden = el.dataset.mode !== p.mode; });
+          renderBoards();
+        }else if (SOUND_PARAM_BY_KEY[k]){
+          const d = SOUND_PARAM_BY_KEY[k];
+          let num = Number(t.value);
+          if (isNaN(num) || t.value === '') return;
+          if (t.type === 'range' && d.log) num = sliderToLog(num, d.min, d.max);
+          num = Math.max(d.min, Math.min(d.max, num));
+          setPadParam(p, k, num);
+          row.querySelectorAll(`[data-k="${k}"]`).forEach(el=>{
+            if (el === t) return;
+            el.value = (el.type === 'range' && d.log) ? logToSlider(num, d.min, d.max) : +num.toFixed(4);
+          });
         }else if (t.tagName === 'SELECT'){
           p[k] = t.value;
         }else if (k === 'name'){
@@ -1115,19 +3086,86 @@ Created by Scott Russo.
           if (t.value.trim() === '') p.phrase = '';
           else p.phrase = t.value;
           renderSentence();
+        }else if (k === 'fadeIn' || k === 'fadeOut'){
+          const num = Number(t.value);
+          if (!isNaN(num)) p[k] = Math.max(0, num);
+          drawWave(waveCv, p);
         }else{
           const num = Number(t.value);
           if (!isNaN(num)) p[k] = num;
         }
+        applyPadLive(p);
       });
 
-      const phraseInput = row.querySelector('[data-k="phrase"]');
-      phraseInput.addEventListener('blur', ()=>{
-        if (!phraseInput.value.trim()){
-          p.phrase = p.name;
-          phraseInput.value = p.name;
-          renderSentence();
-        }
+      const waveCv  = row.querySelector('.wavecv');
+      const durEl   = row.querySelector('.dur');
+      const onTrim  = ()=>{
+        drawWave(waveCv, p);
+        durEl.textContent = padDurLabel(p);
+        applyPadLive(p);
+      };
+      drawWave(waveCv, p);
+      attachTrimDrag(waveCv, p, onTrim);
+      waveCv.addEventListener('pointerdown', ()=>{
+        if (p.buffer) pushUndo('Trim ' + p.name, { key: 'trim:' + p.id });
+      }, true);
+
+      const thrInp = row.querySelector('.trimthr');
+      thrInp.addEventListener('change', ()=>{
+        const v = Number(thrInp.value);
+        if (!isNaN(v)) trimThresholdDb = Math.max(-90, Math.min(0, v));
+      });
+
+      row.querySelector('[data-k="autotrim"]').onclick = ()=>{
+        if (!p.buffer) return;
+        const r = detectTrim(p.buffer, trimThresholdDb);
+        if (!r){
+          status(`Nothing above ${trimThresholdDb} dB in ${p.name}`);
+          return;
+        }
+        pushUndo('Trim ' + p.name);
+        p.trimStart = r.start;
+        p.trimEnd   = r.end;
+        onTrim();
+        status(`Trimmed ${p.name} to ${(r.end - r.start).toFixed(2)}s`);
+      };
+
+      row.querySelector('[data-k="trimreset"]').onclick = ()=>{
+        pushUndo('Trim ' + p.name);
+        resetPadTrim(p);
+        onTrim();
+      };
+
+      const soundBox = row.querySelector('.kit-sound');
+      soundBox.addEventListener('toggle', ()=>{
+        if (soundBox.open) soundOpen.add(g.id + ':' + i);
+        else soundOpen.delete(g.id + ':' + i);
+      });
+      const grammarBox = row.querySelector('.kit-grammar');
+      grammarBox.addEventListener('toggle', ()=>{
+        if (grammarBox.open) grammarOpen.add(g.id + ':' + i);
+        else grammarOpen.delete(g.id + ':' + i);
+      });
+
+      const voiceSel = row.querySelector('[data-k="ttsVoice"]');
+      const fillVoices = ()=>{
+        if (voiceSel.dataset.filled) return;
+        voiceSel.dataset.filled = '1';
+        voiceSel.innerHTML = voiceOptionsHtml(p.ttsVoice, 'Global');
+      };
+      voiceSel.addEventListener('focus', fillVoices);
+      voiceSel.addEventListener('pointerdown', fillVoices);
+
+      row.querySelector('[data-k="audition"]').onclick = ()=> auditionPad(p);
+      row.querySelector('[data-k="midilearn"]').onclick = ()=> toggleMidiLearn({type:'note', gid: g.id, idx: i});
+
+      const phraseInput = row.querySelector('[data-k="phrase"]');
+      phraseInput.addEventListener('blur', ()=>{
+        if (!phraseInput.value.trim()){
+          p.phrase = p.name;
+          phraseInput.value = p.name;
+          renderSentence();
+        }
       });
 
       // per-pad record button in editor
@@ -1140,7 +3178,7 @@ Created by Scott Russo.
             recordBtn.textContent = 'Record';
           }else{
             recordBtn.textContent = 'Stop';
-            startPadRecording(p, g.id, i, ()=>{ recordBtn.textContent = 'Record'; });
+            startPadRecording(p, g.id, i, ()=> rebuildEditor());
           }
         });
       }
@@ -1152,8 +3190,11 @@ Created by Scott Russo.
         try{
           const arr = await f.arrayBuffer();
           const buf = await actx.decodeAudioData(arr.slice(0));
+          const b64 = await audioToDataUrl(buf, f);
+          pushUndo('Replace audio on ' + p.name);
           p.buffer   = buf;
           p.duration = buf.duration;
+          resetPadTrim(p);
           const inferred = f.name.replace(/\.[^.]+$/, '');
           if (!p.name || /^Pad\s\d+/.test(p.name)){
             const prevName = p.name;
@@ -1163,7 +3204,7 @@ Created by Scott Russo.
               phraseInput.value = p.phrase;
             }
           }
-          p.b64 = bufferToBase64Wav(buf);
+          p.b64 = b64;
           rebuildEditor();
           renderBoards();
           renderSentence();
@@ -1173,12 +3214,27 @@ Created by Scott Russo.
         }
       };
 
+      row.querySelector('[data-k="generate"]').onclick = async (e)=>{
+        if (p.buffer && !confirm(`Replace the audio in "${p.name}" with a generated one?`)) return;
+        const btn = e.currentTarget;
+        btn.disabled = true;
+        try{
+          await generatePadFromPhrase(p);
+          rebuildEditor();
+          renderBoards();
+        }catch(err){
+          report('generatePad', err);
+          btn.disabled = false;
+        }
+      };
+
       // image file
       row.querySelector('#' + imgId).onchange = (e)=>{
         const f = e.target.files && e.target.files[0];
         if (!f) return;
         const fr = new FileReader();
         fr.onload = ()=>{
+          pushUndo('Image on ' + p.name);
           p.img = fr.result;
           rebuildEditor();
           renderBoards();
@@ -1187,6 +3243,8 @@ Created by Scott Russo.
       };
 
       row.querySelector('[data-k="imgclear"]').onclick = ()=>{
+        if (!p.img) return;
+        pushUndo('Clear image on ' + p.name);
         p.img = null;
         rebuildEditor();
         renderBoards();
@@ -1194,6 +3252,7 @@ Created by Scott Russo.
 
       kitRows.appendChild(row);
     }
+    refreshMidiUi();
   }
 
   /* ========= Stop All ========= */
@@ -1213,69 +3272,823 @@ Created by Scott Russo.
     status('Stopped all');
   };
 
-  /* ========= Save/Load (kits + sentences/scenes) ========= */
+  /* ========= MIDI input ========= */
+  // App.midi.notes: "ch:note" → {gid, idx}; App.midi.cc: "ch:cc" → action name.
+  const MIDI_ACTIONS = {
+    stopAll     : { label: 'Stop All',  run: ()=> stopAllBtn.onclick() },
+    sentencePlay: { label: 'Play/Stop', run: ()=> sentencePlayBtn.onclick() },
+    sentenceStop: { label: 'Stop',      run: ()=> stopSentence() }
+  };
+  const NOTE_NAMES = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'];
 
-  function bufferToBase64Wav(buf){
-    const ch    = buf.numberOfChannels;
-    const sr    = buf.sampleRate;
-    const frames= buf.length;
-    const bytesPerSample = 2;
-    const blockAlign     = ch * bytesPerSample;
-    const byteRate       = sr * blockAlign;
-    const dataSize       = frames * blockAlign;
-    const total          = 44 + dataSize;
-
-    const ab = new ArrayBuffer(total);
-    const dv = new DataView(ab);
-    let p    = 0;
-
-    function wStr(s){ for (let i=0;i<s.length;i++) dv.setUint8(p++, s.charCodeAt(i)); }
-    function w16(v){ dv.setUint16(p, v, true); p += 2; }
-    function w32(v){ dv.setUint32(p, v, true); p += 4; }
-
-    wStr('RIFF');
-    w32(36 + dataSize);
-    wStr('WAVE');
-
-    wStr('fmt ');
-    w32(16);
-    w16(1);
-    w16(ch);
-    w32(sr);
-    w32(byteRate);
-    w16(blockAlign);
-    w16(16);
-
-    wStr('data');
-    w32(dataSize);
-
-    const tmp = new Float32Array(ch * frames);
-    for (let c=0;c<ch;c++){
-      buf.copyFromChannel(tmp.subarray(c*frames, (c+1)*frames), c);
+  let midiAccess = null;
+  let midiLearn  = null;     // {type:'note', gid, idx} | {type:'cc', action}
+  const ccLast   = new Map();
+
+  const midiEnableBtn = $('#midiEnableBtn');
+  const midiStatus    = $('#midiStatus');
+  const midiCcBtns    = $$('[data-midi-cc]');
+  const midiClearBtn  = $('#midiClearBtn');
+
+  function midiKey(ch, n){ return ch + ':' + n; }
+
+  function midiKeyLabel(key, kind){
+    const [ch, n] = key.split(':').map(Number);
+    const what = kind === 'cc' ? 'CC ' + n : NOTE_NAMES[n % 12] + (Math.floor(n / 12) - 1);
+    return `${what} ch${ch + 1}`;
+  }
+
+  function midiNoteForPad(gid, idx){
+    return Object.keys(App.midi.notes).find(k=>{
+      const t = App.midi.notes[k];
+      return t.gid === gid && t.idx === idx;
+    }) || null;
+  }
+
+  function sanitizeMidiMap(m){
+    const out = { notes: {}, cc: {} };
+    if (!m || typeof m !== 'object') return out;
+    for (const [k, t] of Object.entries(m.notes || {})){
+      if (/^\d+:\d+$/.test(k) && t && typeof t.gid === 'string' && Number.isInteger(t.idx)){
+        out.notes[k] = { gid: t.gid, idx: t.idx };
+      }
     }
+    for (const [k, a] of Object.entries(m.cc || {})){
+      if (/^\d+:\d+$/.test(k) && MIDI_ACTIONS[a]) out.cc[k] = a;
+    }
+    return out;
+  }
 
-    let idx = 0;
-    for (let i=0;i<frames;i++){
+  function refreshMidiUi(){
+    $$('[data-k="midilearn"]', kitRows).forEach(b=>{
+      const gid = b.dataset.gid, idx = Number(b.dataset.idx);
+      const learning = midiLearn && midiLearn.type === 'note' && midiLearn.gid === gid && midiLearn.idx === idx;
+      const key = midiNoteForPad(gid, idx);
+      b.textContent = learning ? 'MIDI: press a key…' : ('MIDI: ' + (key ? midiKeyLabel(key, 'note') : 'learn'));
+      b.setAttribute('aria-pressed', learning ? 'true' : 'false');
+    });
+    midiCcBtns.forEach(b=>{
+      const action = b.dataset.midiCc;
+      const learning = midiLearn && midiLearn.type === 'cc' && midiLearn.action === action;
+      const key = Object.keys(App.midi.cc).find(k => App.midi.cc[k] === action);
+      b.textContent = MIDI_ACTIONS[action].label + ': ' + (learning ? 'move a control…' : (key ? midiKeyLabel(key, 'cc') : '—'));
+      b.setAttribute('aria-pressed', learning ? 'true' : 'false');
+    });
+  }
+
+  function toggleMidiLearn(target){
+    const same = midiLearn && midiLearn.type === target.type &&
+      (target.type === 'cc'
+        ? midiLearn.action === target.action
+        : (midiLearn.gid === target.gid && midiLearn.idx === target.idx));
+    midiLearn = same ? null : target;
+    if (midiLearn && !midiAccess) enableMidi();
+    refreshMidiUi();
+  }
+
+  function onMidiNoteOn(ch, note, vel){
+    const key = midiKey(ch, note);
+    if (midiLearn && midiLearn.type === 'note'){
+      const {gid, idx} = midiLearn;
+      const prev = midiNoteForPad(gid, idx);
+      if (prev) delete App.midi.notes[prev];
+      App.midi.notes[key] = { gid, idx };
+      midiLearn = null;
+      refreshMidiUi();
+      status(`MIDI ${midiKeyLabel(key, 'note')} → pad ${idx + 1}`);
+      return;
+    }
+    const t = App.midi.notes[key];
+    if (t) onPadPress(t.gid, t.idx, Math.max(0.01, vel / 127));
+  }
+
+  function onMidiCc(ch, cc, val){
+    const key = midiKey(ch, cc);
+    const prev = ccLast.get(key) || 0;
+    ccLast.set(key, val);
+    if (midiLearn && midiLearn.type === 'cc'){
+      for (const k of Object.keys(App.midi.cc)){
+        if (App.midi.cc[k] === midiLearn.action) delete App.midi.cc[k];
+      }
+      App.midi.cc[key] = midiLearn.action;
+      status(`MIDI ${midiKeyLabel(key, 'cc')} → ${MIDI_ACTIONS[midiLearn.action].label}`);
+      midiLearn = null;
+      refreshMidiUi();
+      return;
+    }
+    // act on the rising edge only, so a button's press/release pair fires once
+    const action = App.midi.cc[key];
+    if (action && val >= 64 && prev < 64) MIDI_ACTIONS[action].run();
+  }
+
+  function onMidiMessage(e){
+    const [st, d1, d2] = e.data;
+    const cmd = st & 0xf0;
+    const ch  = st & 0x0f;
+    if (cmd === 0x90 && d2 > 0) onMidiNoteOn(ch, d1, d2);
+    else if (cmd === 0xb0) onMidiCc(ch, d1, d2);
+  }
+
+  function bindMidiInputs(){
+    if (!midiAccess) return;
+    let n = 0;
+    midiAccess.inputs.forEach(inp=>{
+      inp.onmidimessage = onMidiMessage;
+      n++;
+    });
+    if (midiStatus) midiStatus.textContent = n ? `${n} input${n === 1 ? '' : 's'}` : 'no inputs';
+  }
+
+  async function enableMidi(){
+    if (midiAccess) return;
+    if (!navigator.requestMIDIAccess){
+      if (midiStatus) midiStatus.textContent = 'not supported';
+      status('Web MIDI is not available in this browser');
+      return;
+    }
+    try{
+      midiAccess = await navigator.requestMIDIAccess();
+      midiAccess.onstatechange = bindMidiInputs;
+      bindMidiInputs();
+      if (midiEnableBtn) midiEnableBtn.setAttribute('aria-pressed', 'true');
+      status('MIDI enabled');
+    }catch(e){
+      report('midi', e);
+    }
+  }
+
+  if (midiEnableBtn) midiEnableBtn.onclick = enableMidi;
+  midiCcBtns.forEach(b=>{
+    b.onclick = ()=> toggleMidiLearn({type:'cc', action: b.dataset.midiCc});
+  });
+  if (midiClearBtn) midiClearBtn.onclick = ()=>{
+    if (!confirm('Clear all MIDI mappings for this kit?')) return;
+    App.midi = { notes: {}, cc: {} };
+    midiLearn = null;
+    refreshMidiUi();
+  };
+
+  /* ========= vocabulary manager ========= */
+  const vocabPanel     = $('#vocabPanel');
+  const toggleVocabBtn = $('#toggleVocabBtn');
+  const vocabSearch    = $('#vocabSearch');
+  const vocabCatSel    = $('#vocabCatSel');
+  const vocabNewWord   = $('#vocabNewWord');
+  const vocabNewTags   = $('#vocabNewTags');
+  const vocabAddBtn    = $('#vocabAddBtn');
+  const vocabDupSel    = $('#vocabDupSel');
+  const vocabImportBtn = $('#vocabImportBtn');
+  const vocabImportFile= $('#vocabImportFile');
+  const vocabExportCsv = $('#vocabExportCsv');
+  const vocabExportTxt = $('#vocabExportTxt');
+  const vocabGroupBtn  = $('#vocabGroupBtn');
+  const vocabListEl    = $('#vocabList');
+  const VOCAB_LIST_MAX = 300;
+
+  function vocabMatches(){
+    const q   = vocabKey(vocabSearch ? vocabSearch.value : '');
+    const cat = vocabCatSel ? vocabCatSel.value : '';
+    return vocabEntries().filter(e =>
+      (!cat || e.tags.includes(cat)) &&
+      (!q || vocabKey(e.text).includes(q) || e.tags.some(t => t.includes(q)))
+    );
+  }
+
+  function renderVocabCats(){
+    if (!vocabCatSel) return;
+    const cur = vocabCatSel.value;
+    vocabCatSel.innerHTML = '<option value="">All categories</option>' +
+      vocabCategories().map(c => `<option value="${escHtml(c)}">${escHtml(c)}</option>`).join('');
+    vocabCatSel.value = vocabCategories().includes(cur) ? cur : '';
+  }
+
+  function renderVocab(){
+    if (!vocabListEl) return;
+    renderVocabCats();
+    const list = vocabMatches();
+    vocabListEl.innerHTML = '';
+
+    const info = document.createElement('div');
+    info.className = 'small muted';
+    info.textContent = list.length > VOCAB_LIST_MAX
+      ? `Showing ${VOCAB_LIST_MAX} of ${list.length} — refine the search`
+      : `${list.length} word${list.length === 1 ? '' : 's'}`;
+    vocabListEl.appendChild(info);
+
+    for (const e of list.slice(0, VOCAB_LIST_MAX)){
+      const row = document.createElement('div');
+      row.className = 'vocab-row';
+
+      const word = document.createElement('span');
+      word.className = 'vocab-word';
+      word.textContent = e.text;
+      word.title = `Used ${e.count}×`;
+
+      const tags = document.createElement('input');
+      tags.type = 'text';
+      tags.value = e.tags.join(', ');
+      tags.placeholder = 'categories, comma separated';
+      tags.onchange = ()=>{
+        vocabSetTags(e.text, tags.value);
+        renderVocab();
+      };
+
+      const del = document.createElement('button');
+      del.className = 'btn small ghost';
+      del.textContent = 'Delete';
+      del.onclick = ()=>{
+        vocabRemove(e.text);
+        renderVocab();
+        status(`Deleted "${e.text}" from vocabulary`);
+      };
+
+      row.appendChild(word);
+      row.appendChild(tags);
+      row.appendChild(del);
+      vocabListEl.appendChild(row);
+    }
+  }
+
+  // Minimal CSV: quoted fields with "" escapes, comma separated.
+  function parseCsvLine(line){
+    const out = [];
+    let cur = '', q = false;
+    for (let i=0;i<line.length;i++){
+      const ch = line[i];
+      if (q){
+        if (ch === '"' && line[i+1] === '"'){ cur += '"'; i++; }
+        else if (ch === '"') q = false;
+        else cur += ch;
+      }else if (ch === '"') q = true;
+      else if (ch === ','){ out.push(cur); cur = ''; }
+      else cur += ch;
+    }
+    out.push(cur);
+    return out;
+  }
+
+  function csvField(s){
+    s = String(s);
+    return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  /* CSV rows are word,categories (categories split by ; or |); a header row
+     starting with "word" is ignored. Plain text is one word or phrase per
+     line and takes the category selected in the filter, if any. */
+  function parseVocabFile(name, text){
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (/\.csv$/i.test(name)){
+      const rows = lines.map(parseCsvLine);
+      if (rows.length && /^word$/i.test((rows[0][0] || '').trim())) rows.shift();
+      return rows.map(r => ({ text: (r[0] || '').trim(), tags: cleanTags(r[1] || '') }));
+    }
+    const cat = vocabCatSel ? vocabCatSel.value : '';
+    return lines.map(l => ({ text: l, tags: cat ? [cat] : [] }));
+  }
+
+  // New group sized to fit a category's words, one word per pad.
+  function groupFromCategory(cat){
+    const words = vocabEntries().filter(e => e.tags.includes(cat)).map(e => e.text);
+    if (!words.length){
+      status(`No words in "${cat}"`);
+      return null;
+    }
+    const n    = Math.min(words.length, 144);
+    const cols = Math.min(12, Math.ceil(Math.sqrt(n)));
+    const rows = Math.ceil(n / cols);
+    pushUndo('Add group');
+    const g    = makeGroup(cat.charAt(0).toUpperCase() + cat.slice(1), rows, cols);
+    for (let i=0;i<n;i++){
+      g.pads[i].name   = words[i];
+      g.pads[i].phrase = words[i];
+    }
+    App.groups.push(g);
+    App.visible.add(g.id);
+    renderGroupList();
+    renderBoards();
+    status(`Added group "${g.name}" (${rows}×${cols})` + (words.length > n ? ` — first ${n} of ${words.length} words` : ''));
+    return g;
+  }
+
+  if (toggleVocabBtn) toggleVocabBtn.onclick = ()=>{
+    vocabPanel.classList.toggle('show');
+    renderVocab();
+  };
+  if (vocabSearch) vocabSearch.oninput = renderVocab;
+  if (vocabCatSel) vocabCatSel.onchange = renderVocab;
+
+  if (vocabAddBtn) vocabAddBtn.onclick = ()=>{
+    const text = (vocabNewWord.value || '').trim();
+    if (!text) return;
+    const had = vocabStore.words[vocabKey(text)];
+    const dup = had && had.saved;
+    vocabAdd(text, vocabNewTags.value);
+    vocabNewWord.value = '';
+    renderVocab();
+    status(dup ? `"${text}" is already in the vocabulary — categories merged` : `Added "${text}"`);
+  };
+
+  if (vocabImportBtn) vocabImportBtn.onclick = ()=> vocabImportFile.click();
+
+  if (vocabImportFile) vocabImportFile.onchange = async ()=>{
+    const f = vocabImportFile.files[0];
+    if (!f) return;
+    try{
+      const items = parseVocabFile(f.name, await f.text());
+      const dup   = vocabDupSel ? vocabDupSel.value : 'merge';
+      const res   = vocabImport(items, dup);
+      renderVocab();
+      const verb  = { skip: 'skipped', merge: 'merged', replace: 'replaced' }[dup] || 'merged';
+      status(`Imported ${res.added} new word${res.added === 1 ? '' : 's'}` + (res.dup ? `, ${res.dup} duplicate${res.dup === 1 ? '' : 's'} ${verb}` : ''));
+    }catch(err){
+      report('vocabImport', err);
+    }finally{
+      vocabImportFile.value = '';
+    }
+  };
+
+  if (vocabExportCsv) vocabExportCsv.onclick = ()=>{
+    const rows = vocabMatches().map(e => csvField(e.text) + ',' + csvField(e.tags.join(';')));
+    downloadBlob(new Blob([['word,categories'].concat(rows).join('\n')], {type:'text/csv'}), 'aac_vocabulary.csv');
+  };
+
+  if (vocabExportTxt) vocabExportTxt.onclick = ()=>{
+    downloadBlob(new Blob([vocabMatches().map(e => e.text).join('\n')], {type:'text/plain'}), 'aac_vocabulary.txt');
+  };
+
+  if (vocabGroupBtn) vocabGroupBtn.onclick = ()=>{
+    const cat = vocabCatSel.value;
+    if (!cat){
+      status('Pick a category first');
+      return;
+    }
+    groupFromCategory(cat);
+  };
+
+  /* ========= WAV codec (Web Worker) =========
+     Encoding (downmix, resample, 16-bit PCM or IMA-ADPCM, base64) and decoding
+     (base64, ADPCM → PCM so decodeAudioData accepts it) run in a worker built
+     from wavCodec's own source, so saving a long recording doesn't freeze the
+     UI. Where a worker can't be started the same code runs inline. */
+
+  // Self-contained (no closure over the app): its source is the worker body.
+  function wavCodec(){
+    const IMA_INDEX = [-1,-1,-1,-1,2,4,6,8,-1,-1,-1,-1,2,4,6,8];
+    const IMA_STEP  = [
+      7,8,9,10,11,12,13,14,16,17,19,21,23,25,28,31,34,37,41,45,50,55,60,66,73,80,88,97,
+      107,118,130,143,157,173,190,209,230,253,279,307,337,371,408,449,494,544,598,658,
+      724,796,876,963,1060,1166,1282,1411,1552,1707,1878,2066,2272,2499,2749,3024,3327,
+      3660,4026,4428,4871,5358,5894,6484,7132,7845,8630,9493,10442,11487,12635,13899,
+      15289,16818,18500,20350,22385,24623,27086,29794,32767
+    ];
+
+    function toInt16(x){
+      x = Math.max(-1, Math.min(1, x));
+      return Math.round(x < 0 ? x * 0x8000 : x * 0x7fff);
+    }
+
+    function mixdown(chans){
+      if (chans.length < 2) return chans;
+      const n   = chans[0].length;
+      const out = new Float32Array(n);
+      const k   = 1 / chans.length;
+      chans.forEach(c=>{ for (let i=0;i<n;i++) out[i] += c[i] * k; });
+      return [out];
+    }
+
+    // Downsample only; each output sample averages the input span it covers
+    // (a box filter, enough to keep speech from aliasing).
+    function resample(chans, from, to){
+      if (!to || to >= from) return { chans, rate: from };
+      const ratio = from / to;
+      const n     = Math.floor(chans[0].length / ratio);
+      return {
+        rate : to,
+        chans: chans.map(src=>{
+          const out = new Float32Array(n);
+          for (let i=0;i<n;i++){
+            const a = Math.floor(i * ratio);
+            const b = Math.min(src.length, Math.max(a + 1, Math.floor((i + 1) * ratio)));
+            let sum = 0;
+            for (let j=a;j<b;j++) sum += src[j];
+            out[i] = sum / (b - a);
+          }
+          return out;
+        })
+      };
+    }
+
+    function riff(chunks){
+      let size = 4;
+      chunks.forEach(c=>{ size += 8 + c.bytes.length + (c.bytes.length & 1); });
+      const out = new Uint8Array(8 + size);
+      const dv  = new DataView(out.buffer);
+      let p = 0;
+      const tag = s=>{ for (let i=0;i<4;i++) out[p++] = s.charCodeAt(i); };
+      tag('RIFF');
+      dv.setUint32(p, size, true); p += 4;
+      tag('WAVE');
+      chunks.forEach(c=>{
+        tag(c.id);
+        dv.setUint32(p, c.bytes.length, true); p += 4;
+        out.set(c.bytes, p);
+        p += c.bytes.length + (c.bytes.length & 1);
+      });
+      return out.buffer;
+    }
+
+    function fmtChunk(format, ch, rate, blockAlign, bits, samplesPerBlock){
+      const bytes = new Uint8Array(samplesPerBlock ? 20 : 16);
+      const dv    = new DataView(bytes.buffer);
+      dv.setUint16(0, format, true);
+      dv.setUint16(2, ch, true);
+      dv.setUint32(4, rate, true);
+      dv.setUint32(8, samplesPerBlock ? Math.ceil(rate * blockAlign / samplesPerBlock) : rate * blockAlign, true);
+      dv.setUint16(12, blockAlign, true);
+      dv.setUint16(14, bits, true);
+      if (samplesPerBlock){
+        dv.setUint16(16, 2, true);
+        dv.setUint16(18, samplesPerBlock, true);
+      }
+      return { id:'fmt ', bytes };
+    }
+
+    function pcm16(chans, rate){
+      const ch   = chans.length;
+      const n    = chans[0].length;
+      const data = new Uint8Array(n * ch * 2);
+      const dv   = new DataView(data.buffer);
+      let p = 0;
+      for (let i=0;i<n;i++){
+        for (let c=0;c<ch;c++){
+          dv.setInt16(p, toInt16(chans[c][i]), true);
+          p += 2;
+        }
+      }
+      return riff([fmtChunk(1, ch, rate, ch * 2, 16), { id:'data', bytes:data }]);
+    }
+
+    // IMA-ADPCM (WAVE format 0x11): 4 bits per sample, about a quarter of 16-bit PCM.
+    function adpcm(chans, rate){
+      const ch         = chans.length;
+      const n          = chans[0].length;
+      const blockAlign = (rate <= 11025 ? 256 : rate <= 22050 ? 512 : 1024) * ch;
+      const spb        = (blockAlign - 4 * ch) * 2 / ch + 1;
+      const blocks     = Math.ceil(n / spb);
+      const data       = new Uint8Array(blocks * blockAlign);
+      const pred       = new Int32Array(ch);
+      const index      = new Int32Array(ch);
+      const sample     = (c, i)=> i < n ? toInt16(chans[c][i]) : 0;
+
+      function nibble(c, s){
+        const step = IMA_STEP[index[c]];
+        let diff  = s - pred[c];
+        let code  = 0;
+        let delta = step >> 3;
+        if (diff < 0){ code = 8; diff = -diff; }
+        if (diff >= step){ code |= 4; diff -= step; delta += step; }
+        if (diff >= step >> 1){ code |= 2; diff -= step >> 1; delta += step >> 1; }
+        if (diff >= step >> 2){ code |= 1; delta += step >> 2; }
+        pred[c]  = Math.max(-32768, Math.min(32767, pred[c] + (code & 8 ? -delta : delta)));
+        index[c] = Math.max(0, Math.min(88, index[c] + IMA_INDEX[code]));
+        return code;
+      }
+
+      for (let b=0;b<blocks;b++){
+        const base = b * blockAlign;
+        const s0   = b * spb;
+        for (let c=0;c<ch;c++){
+          pred[c] = sample(c, s0);
+          const h = base + 4 * c;
+          data[h]     = pred[c] & 0xff;
+          data[h + 1] = (pred[c] >> 8) & 0xff;
+          data[h + 2] = index[c];
+        }
+        // channels interleave in 4-byte (8-sample) groups, low nibble first
+        for (let k=0;k<spb-1;k++){
+          for (let c=0;c<ch;c++){
+            const code = nibble(c, sample(c, s0 + 1 + k));
+            const pos  = base + 4 * ch + (k >> 3) * 4 * ch + c * 4 + ((k & 7) >> 1);
+            data[pos] |= (k & 1) ? code << 4 : code;
+          }
+        }
+      }
+
+      const fact = new Uint8Array(4);
+      new DataView(fact.buffer).setUint32(0, n, true);
+      return riff([fmtChunk(0x11, ch, rate, blockAlign, 4, spb), { id:'fact', bytes:fact }, { id:'data', bytes:data }]);
+    }
+
+    function wavChunks(bytes){
+      const tagAt = p => String.fromCharCode(bytes[p], bytes[p+1], bytes[p+2], bytes[p+3]);
+      if (bytes.length < 12 || tagAt(0) !== 'RIFF' || tagAt(8) !== 'WAVE') return null;
+      const dv     = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const chunks = {};
+      let p = 12;
+      while (p + 8 <= bytes.length){
+        const size = dv.getUint32(p + 4, true);
+        chunks[tagAt(p)] = bytes.subarray(p + 8, Math.min(bytes.length, p + 8 + size));
+        p += 8 + size + (size & 1);
+      }
+      return chunks;
+    }
+
+    function unAdpcm(chunks){
+      const fmt        = new DataView(chunks['fmt '].buffer, chunks['fmt '].byteOffset, chunks['fmt '].byteLength);
+      const ch         = fmt.getUint16(2, true);
+      const rate       = fmt.getUint32(4, true);
+      const blockAlign = fmt.getUint16(12, true);
+      const spb        = fmt.getUint16(18, true);
+      const data       = chunks.data || new Uint8Array(0);
+      const blocks     = Math.floor(data.length / blockAlign);
+      const n          = chunks.fact
+        ? Math.min(blocks * spb, new DataView(chunks.fact.buffer, chunks.fact.byteOffset, 4).getUint32(0, true))
+        : blocks * spb;
+      const chans = Array.from({length:ch}, ()=> new Float32Array(n));
+
+      for (let b=0;b<blocks;b++){
+        const base = b * blockAlign;
+        const s0   = b * spb;
+        for (let c=0;c<ch;c++){
+          const h = base + 4 * c;
+          let pred  = (data[h] | (data[h + 1] << 8)) << 16 >> 16;
+          let index = Math.min(88, data[h + 2]);
+          if (s0 < n) chans[c][s0] = pred / 32768;
+          for (let k=0;k<spb-1 && s0+1+k<n;k++){
+            const byte = data[base + 4 * ch + (k >> 3) * 4 * ch + c * 4 + ((k & 7) >> 1)];
+            const code = (k & 1) ? byte >> 4 : byte & 15;
+            const step = IMA_STEP[index];
+            let delta  = step >> 3;
+            if (code & 4) delta += step;
+            if (code & 2) delta += step >> 1;
+            if (code & 1) delta += step >> 2;
+            pred  = Math.max(-32768, Math.min(32767, pred + (code & 8 ? -delta : delta)));
+            index = Math.max(0, Math.min(88, index + IMA_INDEX[code]));
+            chans[c][s0 + 1 + k] = pred / 32768;
+          }
+        }
+      }
+      return pcm16(chans, rate);
+    }
+
+    function toBase64(buf){
+      const bytes = new Uint8Array(buf);
+      let bin = '';
+      for (let i=0;i<bytes.length;i+=0x8000){
+        bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      return btoa(bin);
+    }
+
+    /* Pitch-preserving time-stretch (WSOLA): ~30 ms Hann frames overlap-added at
+       half-frame hops, each analysis frame nudged within ±8 ms to line up with
+       the natural continuation of the previous one. speed > 1 shortens. */
+    function wsola(ins, sr, speed){
+      const ch   = ins.length;
+      const N    = 2 * Math.round(sr * 0.015);
+      const hs   = N / 2;
+      const ha   = hs * speed;
+      const tol  = Math.round(sr * 0.008);
+      const inLen  = ins[0].length;
+      const outLen = Math.max(1, Math.round(inLen / speed));
+      const outs = Array.from({length:ch}, ()=> new Float32Array(outLen));
+
+      const win = new Float32Array(N);
+      for (let i=0;i<N;i++) win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / N);
+
+      const guide = new Float32Array(inLen);
       for (let c=0;c<ch;c++){
-        let sample = tmp[idx++];
-        sample = Math.max(-1, Math.min(1, sample));
-        dv.setInt16(
-          p,
-          sample < 0 ? sample * 0x8000 : sample * 0x7fff,
-          true
-        );
-        p += 2;
+        const d = ins[c];
+        for (let i=0;i<inLen;i++) guide[i] += d[i];
       }
+
+      let prev = 0;
+      for (let k=0, outPos=0; outPos<outLen; k++, outPos+=hs){
+        let best = Math.min(Math.max(0, inLen - 1), Math.round(k * ha));
+        if (k > 0){
+          const target = prev + hs;
+          let bestScore = -Infinity, bestCand = best;
+          for (let d=-tol; d<=tol; d+=2){
+            const cand = best + d;
+            if (cand < 0 || cand + N > inLen || target + N > inLen) continue;
+            let sc = 0;
+            for (let i=0;i<N;i+=4) sc += guide[target + i] * guide[cand + i];
+            if (sc > bestScore){ bestScore = sc; bestCand = cand; }
+          }
+          best = bestCand;
+        }
+        for (let c=0;c<ch;c++){
+          const src = ins[c], dst = outs[c];
+          for (let i=0;i<N;i++){
+            const o = outPos + i, s = best + i;
+            if (o >= outLen || s >= inLen) break;
+            // first frame keeps its leading half unwindowed so the onset is not faded
+            dst[o] += src[s] * ((k === 0 && i < hs) ? 1 : win[i]);
+          }
+        }
+        prev = best;
+      }
+      return outs;
+    }
+
+    function fromBase64(url){
+      const bin   = atob(url.slice(url.indexOf(',') + 1));
+      const bytes = new Uint8Array(bin.length);
+      for (let i=0;i<bin.length;i++) bytes[i] = bin.charCodeAt(i);
+      return bytes;
+    }
+
+    return {
+      // {channels, sampleRate, mono, rate, format:'pcm16'|'adpcm', dataUrl} → WAV bytes or data URL
+      encode(job){
+        const r   = resample(job.mono ? mixdown(job.channels) : job.channels, job.sampleRate, job.rate);
+        const wav = job.format === 'adpcm' ? adpcm(r.chans, r.rate) : pcm16(r.chans, r.rate);
+        return job.dataUrl ? 'data:audio/wav;base64,' + toBase64(wav) : wav;
+      },
+      // stored data URL → bytes decodeAudioData accepts
+      decode(url){
+        const bytes  = fromBase64(url);
+        const chunks = wavChunks(bytes);
+        const fmt    = chunks && chunks['fmt '];
+        if (fmt && fmt.length >= 20 && (fmt[0] | (fmt[1] << 8)) === 0x11) return unAdpcm(chunks);
+        return bytes.buffer;
+      },
+      dataUrl(buf, type){
+        return 'data:' + type + ';base64,' + toBase64(buf);
+      },
+      // channel arrays → time-stretched channel arrays
+      stretch(channels, sampleRate, speed){
+        return wsola(channels, sampleRate, speed);
+      }
+    };
+  }
+
+  const codecInline = wavCodec();
+  const codecJobs   = new Map();
+  let codecWorker   = null;     // null = not tried yet, false = unavailable
+  let codecSeq      = 0;
+
+  function getCodecWorker(){
+    if (codecWorker !== null) return codecWorker;
+    codecWorker = false;
+    if (typeof Worker === 'undefined') return false;
+    try{
+      const src = 'const codec = (' + wavCodec.toString() + ')();\n' +
+        'self.onmessage = e => {\n' +
+        '  const { id, op, args } = e.data;\n' +
+        '  try{\n' +
+        '    const result = codec[op].apply(null, args);\n' +
+        '    const moved = result instanceof ArrayBuffer ? [result] : Array.isArray(result) ? result.map(a => a.buffer) : [];\n' +
+        '    self.postMessage({ id, result }, moved);\n' +
+        '  }catch(err){\n' +
+        '    self.postMessage({ id, error: String((err && err.message) || err) });\n' +
+        '  }\n' +
+        '};\n';
+      const url = URL.createObjectURL(new Blob([src], {type:'text/javascript'}));
+      const w   = new Worker(url);
+      w.onmessage = e=>{
+        const job = codecJobs.get(e.data.id);
+        if (!job) return;
+        codecJobs.delete(e.data.id);
+        if ('error' in e.data) job.reject(new Error(e.data.error));
+        else job.resolve(e.data.result);
+      };
+      // worker refused to start (CSP, file:// policy): rerun its jobs inline
+      w.onerror = e=>{
+        if (e && e.preventDefault) e.preventDefault();
+        w.terminate();
+        codecWorker = false;
+        const jobs = Array.from(codecJobs.values());
+        codecJobs.clear();
+        jobs.forEach(j => runCodec(j.op, j.args).then(j.resolve, j.reject));
+      };
+      codecWorker = w;
+    }catch(_){
+      codecWorker = false;
+    }
+    return codecWorker;
+  }
+
+  function runCodec(op, args){
+    const w = getCodecWorker();
+    if (!w){
+      return new Promise((resolve, reject)=> setTimeout(()=>{
+        try{ resolve(codecInline[op].apply(null, args)); }
+        catch(e){ reject(e); }
+      }, 0));
     }
+    return new Promise((resolve, reject)=>{
+      const id = ++codecSeq;
+      codecJobs.set(id, { op, args, resolve, reject });
+      w.postMessage({ id, op, args });
+    });
+  }
+
+  function audioChannels(buf){
+    return Array.from({length: buf.numberOfChannels}, (_, c)=> buf.getChannelData(c));
+  }
+
+  // 16-bit PCM WAV bytes for an AudioBuffer (downloads, renders).
+  function encodeWav(buf){
+    return runCodec('encode', [{ channels: audioChannels(buf), sampleRate: buf.sampleRate, format:'pcm16' }]);
+  }
 
-    const bytes = new Uint8Array(ab);
-    let bin = '';
-    for (let i=0;i<bytes.length;i++){
-      bin += String.fromCharCode(bytes[i]);
+  /* Stored form of a pad's audio, per the kit's audio-storage settings.
+     `original` is the recorder Blob or loaded File; with format "original" it
+     is kept byte for byte (Opus/WebM, MP3, ...) instead of re-encoding. */
+  async function audioToDataUrl(buf, original){
+    const o = App.audio;
+    if (o.format === 'original' && original){
+      return runCodec('dataUrl', [await original.arrayBuffer(), original.type || 'application/octet-stream']);
     }
-    return 'data:audio/wav;base64,' + btoa(bin);
+    return runCodec('encode', [{
+      channels  : audioChannels(buf),
+      sampleRate: buf.sampleRate,
+      mono      : o.mono,
+      rate      : o.rate,
+      format    : o.format === 'adpcm' ? 'adpcm' : 'pcm16',
+      dataUrl   : true
+    }]);
+  }
+
+  // Stored data URL → AudioBuffer.
+  async function decodeStoredAudio(url){
+    return actx.decodeAudioData(await runCodec('decode', [url]));
+  }
+
+  /* ---- audio storage settings (saved per kit) ---- */
+  const AUDIO_RATES      = [0, 44100, 32000, 22050, 16000];
+  const audioFormatSel   = $('#audioFormatSel');
+  const audioRateSel     = $('#audioRateSel');
+  const audioMonoChk     = $('#audioMonoChk');
+  const audioReencodeBtn = $('#audioReencodeBtn');
+
+  function sanitizeAudioSave(src){
+    const d = { format:'pcm16', rate:0, mono:false };
+    if (!src || typeof src !== 'object') return d;
+    return {
+      format: ['pcm16','adpcm','original'].includes(src.format) ? src.format : 'pcm16',
+      rate  : AUDIO_RATES.includes(src.rate) ? src.rate : 0,
+      mono  : !!src.mono
+    };
   }
 
+  function renderAudioSaveUi(){
+    if (!audioFormatSel) return;
+    audioFormatSel.value = App.audio.format;
+    audioRateSel.value   = String(App.audio.rate);
+    audioMonoChk.checked = App.audio.mono;
+    // "original" keeps the source bytes, so rate/mono only apply to re-encoded audio
+    const orig = App.audio.format === 'original';
+    audioRateSel.title = audioMonoChk.parentNode.title = orig ? 'Used for generated audio; originals are stored as recorded' : '';
+  }
+
+  if (audioFormatSel){
+    audioFormatSel.onchange = ()=>{ App.audio.format = audioFormatSel.value; renderAudioSaveUi(); };
+    audioRateSel.onchange   = ()=>{ App.audio.rate = parseInt(audioRateSel.value, 10) || 0; };
+    audioMonoChk.onchange   = ()=>{ App.audio.mono = audioMonoChk.checked; };
+  }
+
+  // Re-store every WAV pad's audio with the current settings; pads kept as
+  // their original recording or file (WebM, MP3…) stay as they are.
+  if (audioReencodeBtn) audioReencodeBtn.onclick = async ()=>{
+    const pads = [];
+    let kept = 0;
+    App.groups.forEach(g => g.pads.forEach(p=>{
+      if (!p.buffer) return;
+      if (p.b64 && MEDIA_EXT[mediaType(p.b64)] !== 'wav') kept++;
+      else pads.push(p);
+    }));
+    const keptNote = kept ? ` (${kept} original recording${kept === 1 ? '' : 's'} left as ${kept === 1 ? 'is' : 'they are'})` : '';
+    if (!pads.length || App.audio.format === 'original'){
+      status(pads.length ? 'Choose WAV or ADPCM to re-encode' : 'No WAV pad audio to re-encode' + keptNote);
+      return;
+    }
+    audioReencodeBtn.disabled = true;
+    try{
+      let before = 0, after = 0;
+      const next = [];
+      for (let i=0;i<pads.length;i++){
+        status(`Re-encoding ${i + 1}/${pads.length}…`);
+        next.push(await audioToDataUrl(pads[i].buffer));
+      }
+      pushUndo('Re-encode audio');
+      pads.forEach((p, i)=>{
+        before += (p.b64 || '').length;
+        after  += (next[i] || '').length;
+        p.b64 = next[i];
+      });
+      markDirty();
+      status(`Re-encoded ${pads.length} pads: ${(before / 1048576).toFixed(1)} → ${(after / 1048576).toFixed(1)} MB${keptNote}`);
+    }catch(e){
+      report('reencode', e);
+    }finally{
+      audioReencodeBtn.disabled = false;
+    }
+  };
+
+  /* ========= Save/Load (kits + sentences/scenes) ========= */
+
   function base64ToArrayBuffer(b64){
     const x   = b64.split(',').pop();
     const bin = atob(x);
@@ -1303,22 +4116,30 @@ Created by Scott Russo.
   function defaultChain(){ return [0,1,2,3,4,5,6,7]; }
 
   function ensureScene(idx){
-    if (!scenes[idx]) scenes[idx] = { gapMs: Number(gapMsNum.value || 250), sentence: [] };
+    if (!scenes[idx]) scenes[idx] = { gapMs: Number(gapMsNum.value || 250), wpm: currentWpm(), sentence: [] };
     return scenes[idx];
   }
 
+  // The scene being edited as it stands in the sentence bar.
+  function liveScene(){
+    return { gapMs: Number(gapMsNum.value || 250), wpm: currentWpm(), sentence: App.sentence.slice(0) };
+  }
+
   function saveCurrentScene(){
-    const sc = ensureScene(currentScene);
-    sc.gapMs = Number(gapMsNum.value || 250);
-    sc.sentence = App.sentence.slice(0);
+    Object.assign(ensureScene(currentScene), liveScene());
   }
 
   function setScene(idx){
     saveCurrentScene();
+    showScene(idx);
+  }
+
+  // Load a scene into the sentence bar without saving the one being left.
+  function showScene(idx){
     currentScene = idx;
     const sc = ensureScene(idx);
     gapMsNum.value = String(sc.gapMs | 0 || 250);
-    wpmNum.value   = String(wpmFromMs(gapMsNum.value));
+    wpmNum.value   = String(sc.wpm || currentWpm());
     App.sentence   = sc.sentence.slice(0);
     renderSentence();
     updateSceneBar();
@@ -1358,23 +4179,21 @@ Created by Scott Russo.
     };
   });
 
+  // Reads the live scene without storing it, so saving never changes state.
   function serializeSeq(){
     return {
       composeMode,
       ttsFallback: !!ttsFallbackChk.checked,
+      stretch    : !!(stretchChk && stretchChk.checked),
+      grammar    : !!(grammarChk && grammarChk.checked),
       currentScene,
       chain,
-      scenes: scenes.map(s =>
+      scenes: scenes.map((s, i) => i === currentScene ? liveScene() : s).map(s =>
         s
           ? {
               gapMs: s.gapMs,
-              sentence: s.sentence.map(t => ({
-                gid : t.gid,
-                idx : t.idx,
-                name: t.name,
-                text: t.text,
-                color: t.color
-              }))
+              wpm  : s.wpm,
+              sentence: s.sentence.map(cleanToken)
             }
           : null
       )
@@ -1385,28 +4204,25 @@ Created by Scott Russo.
     if (!s) return;
     setCompose(!!s.composeMode);
     if (ttsFallbackChk) ttsFallbackChk.checked = !!s.ttsFallback;
+    if (stretchChk) stretchChk.checked = !!s.stretch;
+    if (grammarChk) grammarChk.checked = !!s.grammar;
 
     const scArr = Array.isArray(s.scenes) ? s.scenes : [];
     scenes = Array.from({length:SCENE_COUNT}, (_,i)=>{
       const src = scArr[i];
       if (!src) return null;
       const gap = (src.gapMs | 0) || 250;
+      const wpm = Math.max(WPM_MIN, Math.min(WPM_MAX, Number(src.wpm) || currentWpm()));
       const sent = Array.isArray(src.sentence)
-        ? src.sentence.map(t => ({
-            gid : t.gid,
-            idx : t.idx,
-            name: t.name,
-            text: (t.text && t.text.trim()) || t.name,
-            color: t.color
-          }))
+        ? src.sentence.map(cleanToken).filter(t => t && t.text).map(resolveLegacyToken)
         : [];
-      return { gapMs: gap, sentence: sent };
+      return { gapMs: gap, wpm, sentence: sent };
     });
 
     const target = (typeof s.currentScene === 'number' && s.currentScene >= 0 && s.currentScene < SCENE_COUNT)
       ? s.currentScene
       : 0;
-    setScene(target);
+    showScene(target);
 
     if (Array.isArray(s.chain)){
       chain = s.chain.slice(0);
@@ -1414,8 +4230,392 @@ Created by Scott Russo.
     }
   }
 
+  /* ---- kit schema ----
+     Kit files ({type:'medpad-kit'}) and group files ({type:'medpad-group'})
+     carry a version. Older files are walked up one migration at a time, then
+     validateKit/validateGroupFile copy only known fields, each checked, into a
+     fresh object. A bad field falls back to its default and is noted as
+     "path: problem" rather than failing the whole import; runtime state
+     (buffer, voices, …) can't ride in on a file. */
+  const KIT_VERSION   = 2;
+  const GROUP_VERSION = 2;
+
+  // v2 pads always carry a phrase (older loads left "Pad 01" when it was missing).
+  function migratePadsV1(pads){
+    return (Array.isArray(pads) ? pads : []).map(p=>{
+      if (!p || typeof p !== 'object') return p;
+      const phrase = typeof p.phrase === 'string' && p.phrase.trim() ? p.phrase : p.name;
+      return Object.assign({}, p, { phrase });
+    });
+  }
+
+  // KIT_MIGRATIONS[v] turns a version-v kit into version v+1.
+  const KIT_MIGRATIONS = [
+    // v0: {pads:[…]} — one square board, from before groups existed
+    obj=>{
+      const pads = Array.isArray(obj.pads) ? obj.pads : [];
+      const side = Math.max(1, Math.min(12, Math.ceil(Math.sqrt(pads.length))));
+      return { groups: [{ id:'g1', name:'Group', rows: side, cols: side, pads }], visible: ['g1'] };
+    },
+    // v1: {groups, visible, seq, …} without type/version
+    obj => Object.assign({}, obj, {
+      groups: (obj.groups || []).map(g => (g && typeof g === 'object') ? Object.assign({}, g, { pads: migratePadsV1(g.pads) }) : g)
+    })
+  ];
+
+  const GROUP_MIGRATIONS = [
+    null,
+    // v1: {type, version:1, group}
+    obj => Object.assign({}, obj, { group: Object.assign({}, obj.group, { pads: migratePadsV1(obj.group.pads) }) })
+  ];
+
+  function migrate(obj, version, latest, steps, what){
+    if (!Number.isInteger(version) || version < 0) throw new Error(`${what}: bad version ${JSON.stringify(version)}`);
+    if (version > latest) throw new Error(`${what} version ${version} is newer than this app reads (${latest})`);
+    for (let v = version; v < latest; v++){
+      if (!steps[v]) throw new Error(`${what} version ${v} can't be migrated`);
+      obj = steps[v](obj);
+    }
+    return obj;
+  }
+
+  function describeValue(v){
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return 'a list';
+    if (typeof v === 'string') return JSON.stringify(v.length > 24 ? v.slice(0, 24) + '…' : v);
+    return typeof v === 'object' ? 'an object' : String(v);
+  }
+
+  // Field checkers that note problems and return a usable value.
+  function fieldReader(problems){
+    const bad = (path, msg)=> problems.push(`${path}: ${msg}`);
+    return {
+      bad,
+      num(v, path, def, lo, hi, int){
+        if (v === undefined) return def;
+        if (typeof v !== 'number' || !isFinite(v) || (int && !Number.isInteger(v))){
+          bad(path, `expected ${int ? 'a whole number' : 'a number'}, got ${describeValue(v)}`);
+          return def;
+        }
+        if (v < lo || v > hi){
+          bad(path, `${v} is outside ${lo}…${hi}`);
+          return Math.max(lo, Math.min(hi, v));
+        }
+        return v;
+      },
+      str(v, path, def, maxLen=500){
+        if (v === undefined) return def;
+        if (typeof v !== 'string'){
+          bad(path, `expected text, got ${describeValue(v)}`);
+          return def;
+        }
+        return v.length > maxLen ? v.slice(0, maxLen) : v;
+      },
+      bool(v, path, def){
+        if (v === undefined) return def;
+        if (typeof v !== 'boolean'){
+          bad(path, `expected true/false, got ${describeValue(v)}`);
+          return def;
+        }
+        return v;
+      },
+      oneOf(v, path, def, list){
+        if (v === undefined) return def;
+        if (!list.includes(v)){
+          bad(path, `${describeValue(v)} is not one of ${list.join(', ')}`);
+          return def;
+        }
+        return v;
+      },
+      dataUrl(v, path, kinds){
+        if (v === undefined || v === null || v === '') return null;
+        if (typeof v !== 'string' || !/^data:[^,]*,/.test(v)){
+          bad(path, `expected a data: URL, got ${describeValue(v)}`);
+          return null;
+        }
+        const type = (/^data:([^;,]*)/.exec(v)[1] || '').toLowerCase();
+        if (!kinds.some(k => type.startsWith(k))){
+          bad(path, `unexpected media type "${type}"`);
+          return null;
+        }
+        return v;
+      },
+      obj(v, path){
+        if (v === undefined || v === null) return null;
+        if (typeof v !== 'object' || Array.isArray(v)){
+          bad(path, `expected an object, got ${describeValue(v)}`);
+          return null;
+        }
+        return v;
+      }
+    };
+  }
+
+  const PAD_FIELDS = [
+    'id','name','phrase','b64','img','gain','pan','filterType','cutoff','q','env','tune','fine',
+    'loop','reverse','choke','trimStart','trimEnd','fadeIn','fadeOut','ttsVoice','ttsLang','link','linkHide','linkReturn','scene','grammar','mode'
+  ];
+
+  function noteUnknown(src, known, path, unknown){
+    Object.keys(src).forEach(k=>{ if (!known.includes(k)) unknown.add(`${path}.${k}`.replace(/\[\d+\]/g, '[]')); });
+  }
+
+  // Only the fields present in src come back, so a live pad keeps its defaults for the rest.
+  function validatePad(src, path, r, unknown){
+    const out = {};
+    if (!r.obj(src, path)) return out;
+    noteUnknown(src, PAD_FIELDS, 'pad', unknown);
+    const range = (k, v, p)=>{
+      const d = SOUND_PARAM_BY_KEY[k];
+      return r.num(v, p, undefined, d.min, d.max);
+    };
+    const set = (k, v)=>{ if (v !== undefined) out[k] = v; };
+
+    if (src.id !== undefined){
+      const id = r.str(src.id, path + '.id', undefined, 64);
+      if (id) out.id = id;
+    }
+    set('name',   r.str(src.name, path + '.name', undefined, 200));
+    set('phrase', r.str(src.phrase, path + '.phrase', undefined, 2000));
+    if ('b64' in src) out.b64 = r.dataUrl(src.b64, path + '.b64', ['audio/', 'application/octet-stream']);
+    if ('img' in src) out.img = r.dataUrl(src.img, path + '.img', ['image/']);
+    set('gain',   r.num(src.gain, path + '.gain', undefined, 0, 2));
+    set('pan',    r.num(src.pan, path + '.pan', undefined, -1, 1));
+    set('filterType', r.oneOf(src.filterType, path + '.filterType', undefined, FILTER_TYPES));
+    set('cutoff', range('cutoff', src.cutoff, path + '.cutoff'));
+    set('q',      range('q', src.q, path + '.q'));
+    set('tune',   range('tune', src.tune, path + '.tune'));
+    set('fine',   range('fine', src.fine, path + '.fine'));
+    const env = r.obj(src.env, path + '.env');
+    if (env){
+      const def = makePad(0).env;
+      out.env = {};
+      ['a','d','s','r'].forEach(k=>{
+        const v = range('env.' + k, env[k], `${path}.env.${k}`);
+        out.env[k] = v === undefined ? def[k] : v;
+      });
+    }
+    set('loop',    r.bool(src.loop, path + '.loop', undefined));
+    set('reverse', r.bool(src.reverse, path + '.reverse', undefined));
+    set('choke',   r.num(src.choke, path + '.choke', undefined, 0, CHOKE_GROUPS, true));
+    set('trimStart', r.num(src.trimStart, path + '.trimStart', undefined, 0, 3600));
+    if (src.trimEnd === null) out.trimEnd = null;
+    else set('trimEnd', r.num(src.trimEnd, path + '.trimEnd', undefined, 0, 3600));
+    set('fadeIn',   r.num(src.fadeIn, path + '.fadeIn', undefined, 0, 5));
+    set('fadeOut',  r.num(src.fadeOut, path + '.fadeOut', undefined, 0, 5));
+    set('ttsVoice', r.str(src.ttsVoice, path + '.ttsVoice', undefined));
+    set('ttsLang',  r.str(src.ttsLang, path + '.ttsLang', undefined, 35));
+    if (src.link === null) out.link = null;
+    else set('link', r.str(src.link, path + '.link', undefined, 80));
+    set('linkHide',   r.bool(src.linkHide, path + '.linkHide', undefined));
+    set('linkReturn', r.bool(src.linkReturn, path + '.linkReturn', undefined));
+    set('scene',    r.num(src.scene, path + '.scene', undefined, 0, SCENE_COUNT - 1, true));
+    const gram = r.obj(src.grammar, path + '.grammar');
+    if (gram){
+      noteUnknown(gram, ['pos','third','plural','article'], 'pad.grammar', unknown);
+      out.grammar = {
+        pos    : gram.pos === '' ? '' : r.oneOf(gram.pos, path + '.grammar.pos', '', POS_TYPES),
+        third  : r.str(gram.third, path + '.grammar.third', '', 80),
+        plural : r.str(gram.plural, path + '.grammar.plural', '', 80),
+        article: gram.article === '' ? '' : r.oneOf(gram.article, path + '.grammar.article', '', ['a', 'an', 'none'])
+      };
+    }
+    set('mode',     r.oneOf(src.mode, path + '.mode', undefined, Object.values(PadMode)));
+    return out;
+  }
+
+  function validateGroup(src, path, r, unknown){
+    if (!r.obj(src, path)) return null;
+    noteUnknown(src, ['id','name','rows','cols','color','win','pads'], 'group', unknown);
+    const g = {
+      id   : r.str(src.id, path + '.id', '', 64) || null,
+      name : r.str(src.name, path + '.name', 'Group', 200),
+      rows : r.num(src.rows, path + '.rows', 4, 1, 12, true),
+      cols : r.num(src.cols, path + '.cols', 4, 1, 12, true),
+      color: r.str(src.color, path + '.color', null, 32),
+      win  : null,
+      pads : []
+    };
+    if (g.color && !/^#[0-9a-f]{3,8}$/i.test(g.color)){
+      r.bad(path + '.color', `${describeValue(g.color)} is not a #hex colour`);
+      g.color = null;
+    }
+    const win = r.obj(src.win, path + '.win');
+    if (win && typeof win.x === 'number' && typeof win.y === 'number' && isFinite(win.x) && isFinite(win.y)){
+      g.win = { x: win.x, y: win.y };
+      if (typeof win.w === 'number' && win.w > 0) g.win.w = win.w;
+      if (typeof win.h === 'number' && win.h > 0) g.win.h = win.h;
+    }else if (win){
+      r.bad(path + '.win', 'expected numeric x and y');
+    }
+    if (src.pads !== undefined && !Array.isArray(src.pads)) r.bad(path + '.pads', `expected a list, got ${describeValue(src.pads)}`);
+    const pads = Array.isArray(src.pads) ? src.pads : [];
+    if (pads.length > g.rows * g.cols) r.bad(path + '.pads', `${pads.length} pads for a ${g.rows}×${g.cols} board; extras dropped`);
+    g.pads = pads.slice(0, g.rows * g.cols).map((p, i)=> validatePad(p, `${path}.pads[${i}]`, r, unknown));
+    return g;
+  }
+
+  function validateSeq(src, r){
+    const s = r.obj(src, 'seq');
+    if (!s) return null;
+    const out = {
+      composeMode : r.bool(s.composeMode, 'seq.composeMode', false),
+      ttsFallback : r.bool(s.ttsFallback, 'seq.ttsFallback', true),
+      stretch     : r.bool(s.stretch, 'seq.stretch', false),
+      grammar     : r.bool(s.grammar, 'seq.grammar', false),
+      currentScene: r.num(s.currentScene, 'seq.currentScene', 0, 0, SCENE_COUNT - 1, true),
+      chain       : [],
+      scenes      : []
+    };
+    if (Array.isArray(s.chain)){
+      s.chain.forEach((v, i)=>{
+        if (Number.isInteger(v) && v >= 0 && v < SCENE_COUNT) out.chain.push(v);
+        else r.bad(`seq.chain[${i}]`, `${describeValue(v)} is not a scene number; dropped`);
+      });
+    }else if (s.chain !== undefined){
+      r.bad('seq.chain', `expected a list, got ${describeValue(s.chain)}`);
+    }
+    const scenesIn = Array.isArray(s.scenes) ? s.scenes : [];
+    out.scenes = scenesIn.slice(0, SCENE_COUNT).map((sc, i)=>{
+      if (sc === null) return null;
+      const o = r.obj(sc, `seq.scenes[${i}]`);
+      if (!o) return null;
+      return {
+        gapMs: r.num(o.gapMs, `seq.scenes[${i}].gapMs`, 250, 0, 10000),
+        wpm  : r.num(o.wpm, `seq.scenes[${i}].wpm`, undefined, WPM_MIN, WPM_MAX),
+        sentence: Array.isArray(o.sentence)
+          ? o.sentence.filter((t, j)=>{
+              if (t && typeof t === 'object') return true;
+              r.bad(`seq.scenes[${i}].sentence[${j}]`, `expected a word, got ${describeValue(t)}`);
+              return false;
+            })
+          : []
+      };
+    });
+    return out;
+  }
+
+  function finishUnknown(problems, unknown){
+    if (unknown.size) problems.push(`ignored unknown fields: ${Array.from(unknown).slice(0, 8).join(', ')}${unknown.size > 8 ? ', …' : ''}`);
+  }
+
+  // Any kit file (any version) → {kit, problems}; throws when it isn't a kit at all.
+  function validateKit(obj){
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error('not a kit file: expected a JSON object');
+    if (obj.type !== undefined && obj.type !== 'medpad-kit') throw new Error(`not a kit file: type is ${describeValue(obj.type)}`);
+    const version = obj.version !== undefined ? obj.version : (Array.isArray(obj.groups) ? 1 : Array.isArray(obj.pads) ? 0 : -1);
+    if (version === -1) throw new Error('not a kit file: no "groups" list');
+    const src = migrate(obj, version, KIT_VERSION, KIT_MIGRATIONS, 'kit');
+    if (!Array.isArray(src.groups)) throw new Error('kit: "groups" must be a list');
+
+    const problems = [];
+    const unknown  = new Set();
+    const r        = fieldReader(problems);
+    noteUnknown(src, ['type','version','groups','visible','seq','midi','keys','scan','tts','audio'], 'kit', unknown);
+    const groups = src.groups.map((g, i)=> validateGroup(g, `groups[${i}]`, r, unknown)).filter(Boolean);
+    const kit = {
+      groups,
+      visible: [],
+      seq    : validateSeq(src.seq, r),
+      midi   : r.obj(src.midi, 'midi'),
+      keys   : r.obj(src.keys, 'keys'),
+      scan   : r.obj(src.scan, 'scan'),
+      tts    : r.obj(src.tts, 'tts'),
+      audio  : r.obj(src.audio, 'audio')
+    };
+    if (Array.isArray(src.visible)){
+      kit.visible = src.visible.filter((id, i)=>{
+        if (typeof id === 'string') return true;
+        r.bad(`visible[${i}]`, `expected a group id, got ${describeValue(id)}`);
+        return false;
+      });
+    }else{
+      if (src.visible !== undefined) r.bad('visible', `expected a list, got ${describeValue(src.visible)}`);
+      kit.visible = groups.map(g => g.id).filter(Boolean);
+    }
+    finishUnknown(problems, unknown);
+    return { kit, problems };
+  }
+
+  // medpad-group file (any version) → {group, problems}.
+  function validateGroupFile(obj){
+    if (!obj || typeof obj !== 'object' || obj.type !== 'medpad-group') throw new Error('not a group file');
+    if (!obj.group || typeof obj.group !== 'object') throw new Error('group file has no "group"');
+    const src = migrate(obj, obj.version === undefined ? 1 : obj.version, GROUP_VERSION, GROUP_MIGRATIONS, 'group');
+    const problems = [];
+    const unknown  = new Set();
+    const r        = fieldReader(problems);
+    const group    = validateGroup(src.group, 'group', r, unknown);
+    finishUnknown(problems, unknown);
+    return { group, problems };
+  }
+
+  // Status for a finished load; problems go to the pill (first few) and its tooltip.
+  function statusWithProblems(msg, problems){
+    if (!problems.length){
+      status(msg);
+      return;
+    }
+    status(`${msg} — ${problems.length} problem${problems.length > 1 ? 's' : ''}: ${problems.slice(0, 2).join('; ')}${problems.length > 2 ? '; …' : ''}`);
+    if (statusEl) statusEl.title = problems.join('\n');
+  }
+
+  // Copy validated fields onto a live pad and decode its audio.
+  async function loadPadFields(dst, src){
+    Object.assign(dst, src);
+    if (!dst.phrase || dst.phrase.trim() === '') dst.phrase = dst.name;
+    dst.toggleOn    = false;
+    dst.savedOffset = 0;
+    dst.voice       = null;
+    dst.voices      = [];
+    dst.buffer      = null;
+    dst.duration    = 0;
+    if (src.b64){
+      try{
+        const buf = await decodeStoredAudio(src.b64);
+        dst.buffer   = buf;
+        dst.duration = buf.duration;
+      }catch(_){}
+    }
+  }
+
+  function serializePad(p){
+    return {
+      name   : p.name,
+      phrase : (p.phrase && p.phrase.trim()) ? p.phrase : p.name,
+      b64    : p.b64,
+      img    : p.img,
+      gain   : p.gain,
+      pan    : p.pan,
+      filterType: p.filterType,
+      cutoff : p.cutoff,
+      q      : p.q,
+      env    : p.env,
+      tune   : p.tune,
+      fine   : p.fine,
+      loop   : p.loop,
+      reverse: p.reverse,
+      choke  : p.choke,
+      trimStart: p.trimStart,
+      trimEnd  : p.trimEnd,
+      fadeIn : p.fadeIn,
+      fadeOut: p.fadeOut,
+      ttsVoice: p.ttsVoice,
+      ttsLang : p.ttsLang,
+      link   : p.link || null,
+      linkHide  : p.linkHide !== false,
+      linkReturn: !!p.linkReturn,
+      scene  : p.scene | 0,
+      grammar: Object.assign({}, p.grammar),
+      mode   : p.mode,
+      id     : p.id
+    };
+  }
+
   function serialize(){
     return {
+      type   : 'medpad-kit',
+      version: KIT_VERSION,
       groups: App.groups.map(g => ({
         id   : g.id,
         name : g.name,
@@ -1430,93 +4630,63 @@ Created by Scott Russo.
               h: g.win.h
             }
           : null),
-        pads : g.pads.map(p => ({
-          name   : p.name,
-          phrase : (p.phrase && p.phrase.trim()) ? p.phrase : p.name,
-          b64    : p.b64,
-          img    : p.img,
-          gain   : p.gain,
-          pan    : p.pan,
-          filterType: p.filterType,
-          cutoff : p.cutoff,
-          q      : p.q,
-          env    : p.env,
-          tune   : p.tune,
-          fine   : p.fine,
-          loop   : p.loop,
-          reverse: p.reverse,
-          choke  : p.choke,
-          mode   : p.mode
-        }))
+        pads : g.pads.map(serializePad)
       })),
       visible: Array.from(App.visible),
-      seq    : serializeSeq()
+      seq    : serializeSeq(),
+      midi   : App.midi,
+      keys   : App.keymap,
+      scan   : App.scan,
+      tts    : App.tts,
+      audio  : App.audio
     };
   }
 
-  async function deserialize(obj){
+  // extra: problems found before validation (e.g. media missing from a bundle)
+  async function deserialize(obj, msg='Kit loaded', extra=[]){
+    // validate before touching state, so an unreadable file leaves the boards alone
+    const { kit, problems } = validateKit(obj);
+    obj = kit;
+    clearHistory();
     App.groups.length = 0;
     App.visible.clear();
     App.editGid = null;
     kitEditor.classList.remove('show');
-
-    if (Array.isArray(obj.groups)){
-      for (const gsrc of obj.groups){
-        const g = makeGroup(
-          gsrc.name || 'Group',
-          Number(gsrc.rows || 4),
-          Number(gsrc.cols || 4),
-          gsrc.color || DEFAULT_COLORS[(NEXT_GROUP_ID-1) % DEFAULT_COLORS.length]
-        );
-        const count = Math.min(g.pads.length, Array.isArray(gsrc.pads) ? gsrc.pads.length : 0);
-        for (let i=0;i<count;i++){
-          const src = gsrc.pads[i];
-          const dst = g.pads[i];
-          Object.assign(dst, src);
-          if (!dst.phrase || dst.phrase.trim() === '') dst.phrase = dst.name;
-          if (!dst.mode) dst.mode = PadMode.RETRIGGER;
-
-          if (src.b64){
-            try{
-              const wav = base64ToArrayBuffer(src.b64);
-              const buf = await actx.decodeAudioData(wav.slice(0));
-              dst.buffer   = buf;
-              dst.duration = buf.duration;
-            }catch(_){}
-          }
-          dst.toggleOn    = false;
-          dst.savedOffset = 0;
-          dst.voice       = null;
-          dst.voices      = [];
-        }
-        if (gsrc.win && typeof gsrc.win.x === 'number' && typeof gsrc.win.y === 'number'){
-          g.win = { x: gsrc.win.x, y: gsrc.win.y };
-          if (typeof gsrc.win.w === 'number' && gsrc.win.w > 0) g.win.w = gsrc.win.w;
-          if (typeof gsrc.win.h === 'number' && gsrc.win.h > 0) g.win.h = gsrc.win.h;
-        }
-        g.id = gsrc.id || g.id;
-        App.groups.push(g);
-      }
-      if (Array.isArray(obj.visible)){
-        for (const id of obj.visible) App.visible.add(id);
-      }
-      if (obj.seq) applySeq(obj.seq);
-    }else if (Array.isArray(obj.pads)){
-      const n    = obj.pads.length;
-      const side = Math.ceil(Math.sqrt(n));
-      const g    = makeGroup('Group', side, side);
-      for (let i=0;i<Math.min(n, g.pads.length);i++){
-        Object.assign(g.pads[i], obj.pads[i]);
-        if (!g.pads[i].phrase || g.pads[i].phrase.trim() === '') g.pads[i].phrase = g.pads[i].name;
-      }
-      App.groups = [g];
-      App.visible.add(g.id);
+    App.midi = sanitizeMidiMap(obj.midi);
+    midiLearn = null;
+    App.keymap = obj.keys ? sanitizeKeymap(obj.keys) : defaultKeymap();
+    App.tts = sanitizeTts(obj.tts);
+    renderTtsUi();
+    App.audio = sanitizeAudioSave(obj.audio);
+    renderAudioSaveUi();
+    App.focusGid = null;
+    navReset();
+
+    for (const gsrc of obj.groups){
+      const g = makeGroup(
+        gsrc.name,
+        gsrc.rows,
+        gsrc.cols,
+        gsrc.color || DEFAULT_COLORS[(NEXT_GROUP_ID-1) % DEFAULT_COLORS.length]
+      );
+      for (let i=0;i<gsrc.pads.length;i++){
+        await loadPadFields(g.pads[i], gsrc.pads[i]);
+      }
+      g.win = gsrc.win;
+      g.id  = gsrc.id || g.id;
+      App.groups.push(g);
     }
+    ensureUniquePadIds();
+    for (const id of obj.visible) App.visible.add(id);
+    if (obj.seq) applySeq(obj.seq);
 
     renderGroupList();
     renderBoards();
     renderSentence();
-    status('Kit loaded');
+    renderKeymap();
+    applyScanSettings(obj.scan);
+    markDirty();
+    statusWithProblems(msg, extra.concat(problems));
   }
 
   function serializeGroupExport(g){
@@ -1526,29 +4696,13 @@ Created by Scott Russo.
       rows : g.rows,
       cols : g.cols,
       color: g.color,
-      pads : g.pads.map(p => ({
-        name   : p.name,
-        phrase : (p.phrase && p.phrase.trim()) ? p.phrase : p.name,
-        b64    : p.b64,
-        img    : p.img,
-        gain   : p.gain,
-        pan    : p.pan,
-        filterType: p.filterType,
-        cutoff : p.cutoff,
-        q      : p.q,
-        env    : p.env,
-        tune   : p.tune,
-        fine   : p.fine,
-        loop   : p.loop,
-        reverse: p.reverse,
-        choke  : p.choke,
-        mode   : p.mode
-      }))
+      pads : g.pads.map(serializePad)
     };
   }
 
-  async function importGroupFromJson(groupObj, asNew){
-    if (!groupObj || !Array.isArray(groupObj.pads)) return;
+  async function importGroupFromJson(file, asNew, msg, extra=[]){
+    const { group: groupObj, problems } = validateGroupFile(file);
+    pushUndo('Import group');
     let target = null;
 
     if (!asNew && App.editGid){
@@ -1556,12 +4710,10 @@ Created by Scott Russo.
     }
 
     if (!target){
-      const rows = Number(groupObj.rows || 4);
-      const cols = Number(groupObj.cols || 4);
       const g = makeGroup(
         groupObj.name || 'Imported Group',
-        rows,
-        cols,
+        groupObj.rows,
+        groupObj.cols,
         groupObj.color || DEFAULT_COLORS[(NEXT_GROUP_ID-1) % DEFAULT_COLORS.length]
       );
       App.groups.push(g);
@@ -1569,9 +4721,7 @@ Created by Scott Russo.
       target = g;
       App.editGid = g.id;
     }else{
-      const rows = Number(groupObj.rows || target.rows);
-      const cols = Number(groupObj.cols || target.cols);
-      resizeGroup(target, rows, cols);
+      resizeGroup(target, groupObj.rows, groupObj.cols);
       target.name  = groupObj.name || target.name;
       target.color = groupObj.color || target.color;
     }
@@ -1581,98 +4731,873 @@ Created by Scott Russo.
     for (let i=0;i<count;i++){
       const src = padsSrc[i];
       const dst = target.pads[i];
-      Object.assign(dst, src);
-      if (!dst.phrase || dst.phrase.trim() === '') dst.phrase = dst.name;
+      // the file's id if no other pad uses it, else a fresh one: tokens that
+      // pointed at the word this slot held must not play the imported word
+      const owner = findPadById(src.id);
+      await loadPadFields(dst, src);
+      if (!src.id || (owner && owner.p !== dst)) dst.id = newPadId();
+    }
+
+    renderGroupList();
+    renderBoards();
+    rebuildEditor();
+    renderSentence();
+    statusWithProblems(msg, extra.concat(problems));
+  }
 
-      dst.toggleOn    = false;
-      dst.savedOffset = 0;
-      dst.voice       = null;
-      dst.voices      = [];
-      dst.buffer      = null;
-      dst.duration    = 0;
+  /* ---- kit bundles (.aackit) ----
+     A zip with manifest.json (the object a JSON export would hold, each pad's
+     audio/image swapped for a path) plus audio/*.wav and images/*.png
+     entries, so samples open in ordinary audio tools and manifests diff
+     cleanly. Written
+     uncompressed; deflated entries are read too where DecompressionStream
+     exists, so a bundle re-zipped by another tool still loads. */
+  const BUNDLE_EXT = '.aackit';
+  const MEDIA_EXT  = {
+    'audio/wav':'wav', 'audio/x-wav':'wav', 'audio/wave':'wav', 'audio/webm':'webm', 'audio/ogg':'ogg',
+    'audio/mpeg':'mp3', 'audio/mp4':'m4a', 'image/png':'png', 'image/jpeg':'jpg', 'image/gif':'gif',
+    'image/webp':'webp', 'image/svg+xml':'svg'
+  };
+  let crcTable = null;
+
+  function crc32(bytes){
+    if (!crcTable){
+      crcTable = new Uint32Array(256);
+      for (let n=0;n<256;n++){
+        let c = n;
+        for (let k=0;k<8;k++) c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i=0;i<bytes.length;i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
 
-      if (src.b64){
-        try{
-          const wav = base64ToArrayBuffer(src.b64);
-          const buf = await actx.decodeAudioData(wav.slice(0));
-          dst.buffer   = buf;
-          dst.duration = buf.duration;
-        }catch(_){}
+  // [{name, bytes}] → zip Blob (stored entries, UTF-8 names)
+  function zipEntries(entries){
+    const enc  = new TextEncoder();
+    const now  = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts   = [];
+    const central = [];
+    let offset = 0;
+
+    entries.forEach(e=>{
+      const name  = enc.encode(e.name);
+      const crc   = crc32(e.bytes);
+      const local = new Uint8Array(30 + name.length);
+      const lv    = new DataView(local.buffer);
+      lv.setUint32(0, 0x04034b50, true);
+      lv.setUint16(4, 20, true);
+      lv.setUint16(6, 0x0800, true);
+      lv.setUint16(10, time, true);
+      lv.setUint16(12, date, true);
+      lv.setUint32(14, crc, true);
+      lv.setUint32(18, e.bytes.length, true);
+      lv.setUint32(22, e.bytes.length, true);
+      lv.setUint16(26, name.length, true);
+      local.set(name, 30);
+
+      const dir = new Uint8Array(46 + name.length);
+      const dv  = new DataView(dir.buffer);
+      dv.setUint32(0, 0x02014b50, true);
+      dv.setUint16(4, 20, true);
+      dv.setUint16(6, 20, true);
+      dv.setUint16(8, 0x0800, true);
+      dv.setUint16(12, time, true);
+      dv.setUint16(14, date, true);
+      dv.setUint32(16, crc, true);
+      dv.setUint32(20, e.bytes.length, true);
+      dv.setUint32(24, e.bytes.length, true);
+      dv.setUint16(28, name.length, true);
+      dv.setUint32(42, offset, true);
+      dir.set(name, 46);
+
+      parts.push(local, e.bytes);
+      central.push(dir);
+      offset += local.length + e.bytes.length;
+    });
+
+    const cdSize = central.reduce((n, d)=> n + d.length, 0);
+    const end    = new Uint8Array(22);
+    const ev     = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, entries.length, true);
+    ev.setUint16(10, entries.length, true);
+    ev.setUint32(12, cdSize, true);
+    ev.setUint32(16, offset, true);
+    return new Blob(parts.concat(central, [end]), {type:'application/zip'});
+  }
+
+  async function inflateRaw(data){
+    if (typeof DecompressionStream === 'undefined'){
+      throw new Error('this browser cannot read compressed zip entries; re-zip the bundle with no compression');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // zip ArrayBuffer → Map(name → Uint8Array)
+  async function unzipEntries(buf){
+    const bytes = new Uint8Array(buf);
+    const dv    = new DataView(buf);
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--){
+      if (dv.getUint32(i, true) === 0x06054b50){ eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('not a zip file');
+
+    const dec   = new TextDecoder();
+    const files = new Map();
+    const count = dv.getUint16(eocd + 10, true);
+    let p = dv.getUint32(eocd + 16, true);
+    for (let i=0;i<count;i++){
+      if (dv.getUint32(p, true) !== 0x02014b50) throw new Error('corrupt zip directory');
+      const method = dv.getUint16(p + 10, true);
+      const csize  = dv.getUint32(p + 20, true);
+      const local  = dv.getUint32(p + 42, true);
+      const nameLen = dv.getUint16(p + 28, true);
+      const name   = dec.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+      p += 46 + nameLen + dv.getUint16(p + 30, true) + dv.getUint16(p + 32, true);
+      if (name.endsWith('/')) continue;
+      if (csize === 0xffffffff || local === 0xffffffff) throw new Error('zip64 bundles are not supported');
+      if (method !== 0 && method !== 8) throw new Error(`unsupported compression in ${name}`);
+      const start = local + 30 + dv.getUint16(local + 26, true) + dv.getUint16(local + 28, true);
+      const data  = bytes.subarray(start, start + csize);
+      files.set(name, method === 8 ? await inflateRaw(data) : data);
+    }
+    return files;
+  }
+
+  function mimeForPath(path){
+    const ext = (/\.([a-z0-9]+)$/i.exec(path) || [])[1];
+    const hit = ext && Object.keys(MEDIA_EXT).find(t => MEDIA_EXT[t] === ext.toLowerCase());
+    return hit || 'application/octet-stream';
+  }
+
+  // Image data URL → PNG bytes, redrawn on a canvas at its natural size.
+  function imageToPng(url){
+    return new Promise((resolve, reject)=>{
+      const img = new Image();
+      img.onload = ()=>{
+        const c = document.createElement('canvas');
+        c.width  = img.naturalWidth  || 256;
+        c.height = img.naturalHeight || 256;
+        c.getContext('2d').drawImage(img, 0, 0, c.width, c.height);
+        c.toBlob(b=>{
+          if (!b) return reject(new Error('PNG encoding failed'));
+          b.arrayBuffer().then(ab => resolve(new Uint8Array(ab)), reject);
+        }, 'image/png');
+      };
+      img.onerror = ()=> reject(new Error('image could not be decoded'));
+      img.src = url;
+    });
+  }
+
+  // Pad audio → 16-bit PCM WAV bytes: ADPCM is expanded, other formats
+  // (Opus/WebM, MP3…) are decoded — from the live pad's buffer when it has one.
+  async function pcmWavBytes(url, live){
+    if (MEDIA_EXT[mediaType(url)] === 'wav') return new Uint8Array(await runCodec('decode', [url]));
+    const buf = live && live.b64 === url && live.buffer ? live.buffer : await decodeStoredAudio(url);
+    return new Uint8Array(await encodeWav(buf));
+  }
+
+  // Export payload (serialize() or a medpad-group) → .aackit Blob. Audio goes
+  // in as PCM WAV and images as PNG, so ordinary tools can edit them; media
+  // that can't be converted keeps its own format and is noted in problems.
+  async function buildBundle(payload, problems){
+    const entries   = [];
+    const paths     = new Map();    // data URL → entry path
+    const taken     = new Set();
+    const converted = new Map();    // data URL → {bytes, ext}
+    const forEach   = fn => payload.group ? mapKitPads(payload.group, fn) : mapKitPads(payload, fn);
+
+    const jobs = new Map();         // data URL → {pad, kind}
+    forEach(p=>{
+      if (isDataUrl(p.b64)) jobs.set(p.b64, { pad: p, kind: 'audio' });
+      if (isDataUrl(p.img) && mediaType(p.img) !== 'image/png') jobs.set(p.img, { pad: p, kind: 'image' });
+      return p;
+    });
+    for (const [url, { pad, kind }] of jobs){
+      try{
+        if (kind === 'image'){
+          converted.set(url, { bytes: await imageToPng(url), ext: 'png' });
+        }else{
+          const live = findPadById(pad.id);
+          converted.set(url, { bytes: await pcmWavBytes(url, live && live.p), ext: 'wav' });
+        }
+      }catch(e){
+        problems.push(`"${pad.name || 'pad'}": ${kind} kept as ${mediaType(url)} (${e.message})`);
+      }
+    }
+
+    function mediaPath(url, dir, label){
+      if (paths.has(url)) return paths.get(url);
+      const conv = converted.get(url);
+      const ext  = conv ? conv.ext : (MEDIA_EXT[mediaType(url)] || 'bin');
+      const stem = String(label || '').replace(/[^a-z0-9_-]+/gi, '_').replace(/^_+|_+$/g, '') || 'pad';
+      let path = `${dir}/${stem}.${ext}`;
+      for (let n=2; taken.has(path); n++) path = `${dir}/${stem}-${n}.${ext}`;
+      taken.add(path);
+      paths.set(url, path);
+      entries.push({ name: path, bytes: conv ? conv.bytes : new Uint8Array(base64ToArrayBuffer(url)) });
+      return path;
+    }
+
+    const packPad = p=>{
+      const o = Object.assign({}, p);
+      if (isDataUrl(o.b64)) o.audio = mediaPath(o.b64, 'audio', o.name);
+      if (isDataUrl(o.img)) o.image = mediaPath(o.img, 'images', o.name);
+      delete o.b64;
+      delete o.img;
+      return o;
+    };
+    const manifest = payload.group
+      ? Object.assign({}, payload, { group: mapKitPads(payload.group, packPad) })
+      : mapKitPads(payload, packPad);
+    manifest.bundle = { format:'aackit', version:1 };
+
+    entries.unshift({ name:'manifest.json', bytes: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+    return zipEntries(entries);
+  }
+
+  // Unzipped .aackit → the payload a JSON export would have held; media the
+  // manifest names but the zip lacks goes into problems.
+  async function readBundle(files, problems){
+    // tolerate bundles zipped from a folder ("My kit/manifest.json")
+    const key = Array.from(files.keys())
+      .filter(n => /(^|\/)manifest\.json$/.test(n))
+      .sort((a,b)=> a.length - b.length)[0];
+    if (!key) throw new Error('bundle has no manifest.json');
+    const base     = key.slice(0, key.length - 'manifest.json'.length);
+    const manifest = JSON.parse(new TextDecoder().decode(files.get(key)));
+    const urls     = new Map();
+
+    const wanted = new Set();
+    const collect = p=>{
+      if (p && typeof p.audio === 'string') wanted.add(p.audio);
+      if (p && typeof p.image === 'string') wanted.add(p.image);
+      return p;
+    };
+    if (manifest.group) mapKitPads(manifest.group, collect);
+    else mapKitPads(manifest, collect);
+
+    for (const path of wanted){
+      const bytes = files.get(base + path.replace(/^\.?\//, ''));
+      if (!bytes){
+        problems.push(`${path}: missing from the bundle`);
+        continue;
+      }
+      urls.set(path, await blobToDataUrl(new Blob([bytes], { type: mimeForPath(path) })));
+    }
+
+    const unpackPad = p=>{
+      const o = Object.assign({}, p);
+      if ('audio' in o){ o.b64 = urls.get(o.audio) || null; delete o.audio; }
+      if ('image' in o){ o.img = urls.get(o.image) || null; delete o.image; }
+      return o;
+    };
+    delete manifest.bundle;
+    return manifest.group
+      ? Object.assign({}, manifest, { group: mapKitPads(manifest.group, unpackPad) })
+      : mapKitPads(manifest, unpackPad);
+  }
+
+  /* Kit/group file → payload; accepts .aackit bundles, legacy JSON and
+     OBF/OBZ boards (returned as {type:'open-board', boards, files}). */
+  async function readKitFile(f, problems){
+    const buf  = await f.arrayBuffer();
+    const head = new Uint8Array(buf, 0, Math.min(4, buf.byteLength));
+    if (head[0] === 0x50 && head[1] === 0x4b && head[2] === 3 && head[3] === 4){
+      const files = await unzipEntries(buf);
+      const man   = files.get('manifest.json');
+      const obj   = man ? JSON.parse(new TextDecoder().decode(man)) : null;
+      return isObf(obj) ? readObz(files, obj) : readBundle(files, problems);
+    }
+    const obj = JSON.parse(new TextDecoder().decode(buf));
+    return isObf(obj) ? { type:'open-board', boards:[obj], files:null } : obj;
+  }
+
+  async function downloadBundle(payload, baseName){
+    const problems = [];
+    downloadBlob(await buildBundle(payload, problems), baseName + BUNDLE_EXT);
+    statusWithProblems('Exported ' + baseName + BUNDLE_EXT, problems);
+  }
+
+  /* ---- Open Board Format (OBF / OBZ) ----
+     Boards shared by other AAC tools become groups: the grid gives rows/cols,
+     buttons become pads (label → name, vocalization → phrase, image/sound →
+     img/b64) and load_board buttons become pads that switch which group is
+     visible; :speak/:clear/:backspace actions become command pads. Media
+     hosted online is only downloaded after the user agrees. Export writes one
+     group as .obf (media inline) or the whole kit as .obz (boards/, images/,
+     sounds/ + manifest.json). */
+  const OBF_FORMAT = 'open-board-0.1';
+  const OBF_ACTIONS = { ':speak': PadMode.SPEAK_SENTENCE, ':clear': PadMode.CLEAR_SENTENCE, ':backspace': PadMode.BACKSPACE };
+  const OBF_FETCH_MS    = 10000;               // per remote image/sound
+  const OBF_FETCH_BYTES = 5 * 1024 * 1024;
+
+  function isObf(obj){
+    return !!obj && typeof obj.format === 'string' && obj.format.startsWith('open-board-');
+  }
+
+  // OBF image/sound → where its bytes are: 'data' (inline), 'file' (in the OBZ), 'url' or null.
+  function obfSource(item, files){
+    if (!item) return null;
+    if (typeof item.data === 'string' && item.data.startsWith('data:')) return 'data';
+    if (files && typeof item.path === 'string' && files.has(item.path.replace(/^\.?\//, ''))) return 'file';
+    if (typeof item.url === 'string' && /^https?:/i.test(item.url)) return 'url';
+    return null;
+  }
+
+  // URLs of the media buttons use that only exist online.
+  function obfRemoteUrls(boards, files){
+    const urls = new Set();
+    boards.forEach(board=>{
+      const buttons = Array.isArray(board.buttons) ? board.buttons : [];
+      [['images','image_id'], ['sounds','sound_id']].forEach(([list, key])=>{
+        const used = new Set(buttons.map(b => String(b[key])));
+        (Array.isArray(board[list]) ? board[list] : []).forEach(m=>{
+          if (m && used.has(String(m.id)) && obfSource(m, files) === 'url') urls.add(m.url);
+        });
+      });
+    });
+    return urls;
+  }
+
+  // Download with a timeout and a size cap, so a slow or huge file can't stall the import.
+  async function fetchMedia(url, type){
+    const ctl   = new AbortController();
+    const timer = setTimeout(()=> ctl.abort(), OBF_FETCH_MS);
+    try{
+      const res = await fetch(url, { signal: ctl.signal });
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      if (Number(res.headers.get('content-length')) > OBF_FETCH_BYTES) throw new Error('file too large');
+      const reader = res.body.getReader();
+      const chunks = [];
+      let size = 0;
+      for (;;){
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.length;
+        if (size > OBF_FETCH_BYTES){
+          ctl.abort();
+          throw new Error('file too large');
+        }
+        chunks.push(value);
+      }
+      return blobToDataUrl(new Blob(chunks, { type: res.headers.get('content-type') || type }));
+    }catch(e){
+      throw ctl.signal.aborted && e.name === 'AbortError' ? new Error('timed out') : e;
+    }finally{
+      clearTimeout(timer);
+    }
+  }
+
+  // remote: {allow, fetched: Map url → data URL|null}, shared across one import
+  // so each URL is fetched (or reported as skipped) once.
+  async function obfMedia(item, files, remote, problems, label){
+    const source = obfSource(item, files);
+    if (source === 'data') return item.data;
+    const type = item && (item.content_type || mimeForPath(item.path || item.url || ''));
+    if (source === 'file') return blobToDataUrl(new Blob([files.get(item.path.replace(/^\.?\//, ''))], { type }));
+    if (source !== 'url') return null;
+    if (!remote.fetched.has(item.url)){
+      if (remote.allow){
+        remote.fetched.set(item.url, fetchMedia(item.url, type).catch(e=>{
+          problems.push(`${label}: skipped ${item.url} (${e.message})`);
+          return null;
+        }));
+      }else{
+        problems.push(`${label}: skipped ${item.url} (not downloaded)`);
+        remote.fetched.set(item.url, null);
       }
     }
+    return remote.fetched.get(item.url);
+  }
+
+  // One OBF board → medpad-group file; links keep "obf:<board id>" until all boards exist.
+  async function obfBoardToGroup(board, files, problems, remote){
+    const label   = board.name || board.id || 'Board';
+    const buttons = Array.isArray(board.buttons) ? board.buttons : [];
+    const byId    = new Map(buttons.map(b => [String(b.id), b]));
+    const images  = new Map((board.images || []).map(m => [String(m.id), m]));
+    const sounds  = new Map((board.sounds || []).map(m => [String(m.id), m]));
+    const grid    = board.grid || {};
+    let order = Array.isArray(grid.order) ? grid.order : null;
+    let rows  = grid.rows | 0;
+    let cols  = grid.columns | 0;
+    if (!order || rows < 1 || cols < 1){
+      // no usable grid: lay the buttons out in a square
+      cols  = Math.max(1, Math.ceil(Math.sqrt(buttons.length)));
+      rows  = Math.max(1, Math.ceil(buttons.length / cols));
+      order = Array.from({length:rows}, (_, r)=> buttons.slice(r * cols, (r + 1) * cols).map(b => b.id));
+    }
+    if (rows > 12 || cols > 12) problems.push(`${label}: ${rows}×${cols} grid cut to 12×12 at most`);
+    rows = Math.min(12, rows);
+    cols = Math.min(12, cols);
+
+    const pads = [];
+    for (let r=0;r<rows;r++){
+      for (let c=0;c<cols;c++){
+        const id = Array.isArray(order[r]) ? order[r][c] : null;
+        const b  = id != null ? byId.get(String(id)) : null;
+        if (!b){
+          pads.push({});
+          continue;
+        }
+        const name = String(b.label || '').trim();
+        const pad  = { name, phrase: String(b.vocalization || name) };
+        const img  = await obfMedia(images.get(String(b.image_id)), files, remote, problems, label);
+        const snd  = await obfMedia(sounds.get(String(b.sound_id)), files, remote, problems, label);
+        if (img) pad.img = img;
+        if (snd) pad.b64 = snd;
+        if (b.load_board && b.load_board.id != null){
+          pad.link = 'obf:' + b.load_board.id;
+          pad.mode = 'navigate';
+        }else if (OBF_ACTIONS[b.action]){
+          pad.mode = OBF_ACTIONS[b.action];
+        }
+        pads.push(pad);
+      }
+    }
+    return { type:'medpad-group', version: GROUP_VERSION, group: { name: board.name || 'Board', rows, cols, pads } };
+  }
+
+  // Add OBF boards as new groups; only the first is shown, the rest open through links.
+  async function importObf(boards, files){
+    // symbol sets often point at images online; fetching them reveals the
+    // import to those servers, so ask first
+    const urls   = obfRemoteUrls(boards, files);
+    const n      = urls.size;
+    const remote = {
+      allow  : n > 0 && confirm(`${n} image or sound file${n === 1 ? ' is' : 's are'} hosted online. Download ${n === 1 ? 'it' : 'them'}?`),
+      fetched: new Map()
+    };
+    pushUndo('Import OBF');
+    const problems = [];
+    const made     = new Map();        // OBF board id → group
+    for (const board of boards){
+      const { group: src, problems: pr } = validateGroupFile(await obfBoardToGroup(board, files, problems, remote));
+      pr.forEach(x => problems.push(`${board.name || board.id}: ${x}`));
+      const g = makeGroup(src.name, src.rows, src.cols, DEFAULT_COLORS[(NEXT_GROUP_ID-1) % DEFAULT_COLORS.length]);
+      for (let i=0;i<src.pads.length;i++) await loadPadFields(g.pads[i], src.pads[i]);
+      App.groups.push(g);
+      made.set(String(board.id), g);
+    }
+    made.forEach(g => g.pads.forEach(p=>{
+      if (!p.link || !p.link.startsWith('obf:')) return;
+      const target = made.get(p.link.slice(4));
+      if (!target) problems.push(`${g.name}: "${p.name}" opens a board that isn't in the file`);
+      p.link = target ? target.id : null;
+    }));
+    const first = made.values().next().value;
+    if (first) App.visible.add(first.id);
 
     renderGroupList();
     renderBoards();
-    rebuildEditor();
     renderSentence();
+    statusWithProblems(`Imported ${made.size} OBF board${made.size === 1 ? '' : 's'}`, problems);
+  }
+
+  // OBZ zip → boards, root first.
+  function readObz(files, manifest){
+    const dec   = new TextDecoder();
+    const paths = [manifest.root].concat(Object.values((manifest.paths && manifest.paths.boards) || {}));
+    const seen  = new Set();
+    const boards = [];
+    paths.forEach(path=>{
+      if (typeof path !== 'string') return;
+      path = path.replace(/^\.?\//, '');
+      if (seen.has(path)) return;
+      seen.add(path);
+      const bytes = files.get(path);
+      if (bytes) boards.push(JSON.parse(dec.decode(bytes)));
+    });
+    if (!boards.length) throw new Error('OBZ has no readable boards');
+    return { type:'open-board', boards, files };
+  }
+
+  // Other tools may not play ADPCM WAV, so OBF exports carry plain PCM for those pads.
+  async function obfSound(p){
+    if (!p.b64) return null;
+    const comma = p.b64.indexOf(',');
+    let head = '';
+    try{ head = atob(p.b64.slice(comma + 1, comma + 33)); }catch(_){}
+    if (p.buffer && head.startsWith('RIFF') && head.charCodeAt(20) === 0x11 && head.charCodeAt(21) === 0){
+      return runCodec('dataUrl', [await encodeWav(p.buffer), 'audio/wav']);
+    }
+    return p.b64;
+  }
+
+  // media(kind, id, dataUrl) → the entry to list under images/sounds; for
+  // kind "board" it returns the load_board object.
+  async function groupToObf(g, media){
+    const buttons = [];
+    const images  = [];
+    const sounds  = [];
+    const order   = [];
+    for (let r=0;r<g.rows;r++){
+      const row = [];
+      for (let c=0;c<g.cols;c++){
+        const p = g.pads[r * g.cols + c];
+        if (!p || isBlankPad(p)){
+          row.push(null);
+          continue;
+        }
+        const b = { id: p.id, label: p.name };
+        if (p.phrase && p.phrase !== p.name) b.vocalization = p.phrase;
+        if (p.img){
+          b.image_id = 'img-' + p.id;
+          images.push(media('image', b.image_id, p.img));
+        }
+        const snd = await obfSound(p);
+        if (snd){
+          b.sound_id = 'snd-' + p.id;
+          sounds.push(media('sound', b.sound_id, snd));
+        }
+        if (p.mode === PadMode.NAVIGATE && App.groups.some(x => x.id === p.link)) b.load_board = media('board', p.link);
+        const action = Object.keys(OBF_ACTIONS).find(a => OBF_ACTIONS[a] === p.mode);
+        if (action) b.action = action;
+        buttons.push(b);
+        row.push(b.id);
+      }
+      order.push(row);
+    }
+    return {
+      format : OBF_FORMAT,
+      id     : g.id,
+      locale : App.tts.lang || navigator.language || 'en',
+      name   : g.name,
+      buttons,
+      grid   : { rows: g.rows, columns: g.cols, order },
+      images,
+      sounds
+    };
+  }
+
+  function mediaType(url){
+    return ((/^data:([^;,]*)/.exec(url) || [])[1] || 'application/octet-stream').toLowerCase();
+  }
+
+  async function exportObf(g){
+    const board = await groupToObf(g, (kind, id, url)=>
+      kind === 'board' ? { id } : { id, content_type: mediaType(url), data: url });
+    downloadBlob(new Blob([JSON.stringify(board, null, 2)], {type:'application/json'}),
+      (g.name || 'board').replace(/[^a-z0-9_-]+/gi, '_') + '.obf');
+  }
+
+  async function exportObz(name){
+    const entries  = [];
+    const manifest = { format: OBF_FORMAT, root: '', paths: { boards:{}, images:{}, sounds:{} } };
+    const enc      = new TextEncoder();
+    const groups   = App.groups.slice().sort((a,b)=> (App.visible.has(b.id) ? 1 : 0) - (App.visible.has(a.id) ? 1 : 0));
+    for (const g of groups){
+      const board = await groupToObf(g, (kind, id, url)=>{
+        if (kind === 'board') return { id, path: `boards/${id}.obf` };
+        const type = mediaType(url);
+        const path = `${kind === 'image' ? 'images' : 'sounds'}/${id}.${MEDIA_EXT[type] || 'bin'}`;
+        entries.push({ name: path, bytes: new Uint8Array(base64ToArrayBuffer(url)) });
+        manifest.paths[kind === 'image' ? 'images' : 'sounds'][id] = path;
+        return { id, content_type: type, path };
+      });
+      const path = `boards/${g.id}.obf`;
+      manifest.paths.boards[g.id] = path;
+      if (!manifest.root) manifest.root = path;
+      entries.push({ name: path, bytes: enc.encode(JSON.stringify(board, null, 2)) });
+    }
+    entries.unshift({ name:'manifest.json', bytes: enc.encode(JSON.stringify(manifest, null, 2)) });
+    downloadBlob(zipEntries(entries), name.replace(/[^a-z0-9_-]+/gi, '_') + '.obz');
   }
 
   /* ---- Export / import buttons ---- */
-  saveKitBtn.onclick = ()=>{
-    if (App.editGid){
-      const g = App.groups.find(gr => gr.id === App.editGid);
+  saveKitBtn.onclick = async ()=>{
+    try{
+      const g = App.editGid && App.groups.find(gr => gr.id === App.editGid);
       if (g){
         const payload = {
           type  : 'medpad-group',
-          version: 1,
+          version: GROUP_VERSION,
           group : serializeGroupExport(g)
         };
-        const blob = new Blob([JSON.stringify(payload)], {type:'application/json'});
-        const a    = document.createElement('a');
-        a.href     = URL.createObjectURL(blob);
         const safe = (g.name || 'group').replace(/[^a-z0-9_-]+/gi,'_');
-        a.download = 'aac_sound_board_group_' + safe + '.json';
-        a.click();
-        return;
+        await downloadBundle(payload, 'aac_sound_board_group_' + safe);
+      }else{
+        await downloadBundle(serialize(), 'aac_sound_board_kit');
       }
+    }catch(e){
+      report('saveKit', e);
     }
+  };
 
-    const payload = serialize();
-    const blob    = new Blob([JSON.stringify(payload)], {type:'application/json'});
-    const a       = document.createElement('a');
-    a.href        = URL.createObjectURL(blob);
-    a.download    = 'aac_sound_board_kit.json';
-    a.click();
+  const exportObfBtn = $('#exportObfBtn');
+  if (exportObfBtn) exportObfBtn.onclick = async ()=>{
+    const g = App.groups.find(gr => gr.id === App.editGid);
+    if (!g) return;
+    try{
+      await exportObf(g);
+      status(`Exported ${g.name} as OBF`);
+    }catch(e){
+      report('exportObf', e);
+    }
   };
 
   loadKitBtn.onclick = ()=> loadKitFile.click();
 
-  loadKitFile.onchange = async ()=>{
-    const f = loadKitFile.files[0];
-    if (!f) return;
-    try{
-      const txt = await f.text();
-      const obj = JSON.parse(txt);
-      if (obj && obj.type === 'medpad-group' && obj.group){
-        await importGroupFromJson(obj.group, false);
-        status('Imported group into current board');
-      }else{
-        await deserialize(obj);
-      }
-    }catch(e){
-      report('kitImport', e);
-    }finally{
-      loadKitFile.value = '';
+  loadKitFile.onchange = async ()=>{
+    const f = loadKitFile.files[0];
+    if (!f) return;
+    try{
+      const problems = [];
+      const obj = await readKitFile(f, problems);
+      if (obj && obj.type === 'open-board'){
+        await importObf(obj.boards, obj.files);
+      }else if (obj && obj.type === 'medpad-group'){
+        await importGroupFromJson(obj, false, 'Imported group into current board', problems);
+      }else{
+        await deserialize(obj, undefined, problems);
+      }
+    }catch(e){
+      report('kitImport', e);
+    }finally{
+      loadKitFile.value = '';
+    }
+  };
+
+  /* ========= Local library (IndexedDB with localStorage fallback) ========= */
+  const LS_KEY = 'medpad.kits.v3';
+  const KIT_DB_NAME = 'aac_sound_board_kits';
+  const KIT_DB_VERSION = 4;
+  const KIT_DB_STORE = 'kits';
+  const SESSION_STORE = 'session';
+  const MEDIA_STORE = 'media';
+
+  function loadLibLS(){
+    try{ return JSON.parse(localStorage.getItem(LS_KEY) || '{}'); }
+    catch(_){ return {}; }
+  }
+
+  function saveLibLS(obj){
+    try{ localStorage.setItem(LS_KEY, JSON.stringify(obj)); }
+    catch(_){}
+  }
+
+  function hasIndexedDB(){
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /* ---- media store ----
+     Kit and session records hold only metadata: each pad's audio/image data
+     URL is swapped for a content hash (audioRef / imgRef) and the bytes live
+     once, as a Blob, in the "media" store. Identical samples shared by many
+     kits are stored once, and listing kits never touches audio. */
+  const MEDIA_FIELDS = [['b64','audioRef'], ['img','imgRef']];
+  let mediaHashCache = new Map();     // data URL → hash, so autosave doesn't rehash
+
+  // Hex SHA-256 of a data URL's decoded bytes. crypto.subtle only exists in
+  // secure contexts, so over plain http (a clinic LAN) use fallbackHash.
+  async function mediaHash(url){
+    if (!(window.crypto && window.crypto.subtle)) return fallbackHash(url);
+    const digest = await crypto.subtle.digest('SHA-256', base64ToArrayBuffer(url));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2,'0')).join('');
+  }
+
+  // 64-bit hash of the data URL itself: two 32-bit FNV-style lanes plus the length.
+  function fallbackHash(str){
+    let h1 = 0x811c9dc5, h2 = 0x01000193 ^ str.length;
+    for (let i=0;i<str.length;i++){
+      const c = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ c, 16777619);
+      h2 = Math.imul(h2 ^ c, 0x85ebca6b);
+      h2 ^= h2 >>> 13;
+    }
+    return (h1 >>> 0).toString(16).padStart(8,'0') + (h2 >>> 0).toString(16).padStart(8,'0') + '-' + str.length.toString(36);
+  }
+
+  async function hashFor(url){
+    let h = mediaHashCache.get(url);
+    if (!h){
+      h = await mediaHash(url);
+      if (mediaHashCache.size > 2000) mediaHashCache = new Map();
+      mediaHashCache.set(url, h);
+    }
+    return h;
+  }
+
+  function dataUrlToBlob(url){
+    const m = /^data:([^;,]*)/.exec(url);
+    return new Blob([base64ToArrayBuffer(url)], { type: (m && m[1]) || 'application/octet-stream' });
+  }
+
+  function blobToDataUrl(blob){
+    return new Promise((resolve, reject)=>{
+      const fr = new FileReader();
+      fr.onload  = ()=> resolve(fr.result);
+      fr.onerror = ()=> reject(fr.error);
+      fr.readAsDataURL(blob);
+    });
+  }
+
+  function mapKitPads(data, fn){
+    const out = Object.assign({}, data);
+    if (Array.isArray(data.groups)){
+      out.groups = data.groups.map(g => Object.assign({}, g, { pads: (g.pads || []).map(fn) }));
+    }
+    if (Array.isArray(data.pads)) out.pads = data.pads.map(fn);
+    return out;
+  }
+
+  function isDataUrl(v){
+    return typeof v === 'string' && v.startsWith('data:');
+  }
+
+  // Split serialize() output into metadata + the media it references.
+  async function packKit(data){
+    const hashes = new Map();         // data URL → hash
+    mapKitPads(data, p=>{
+      MEDIA_FIELDS.forEach(([field])=>{ if (isDataUrl(p[field])) hashes.set(p[field], null); });
+      return p;
+    });
+    for (const url of hashes.keys()) hashes.set(url, await hashFor(url));
+
+    const media = new Map();          // hash → data URL
+    const meta  = mapKitPads(data, p=>{
+      const o = Object.assign({}, p);
+      MEDIA_FIELDS.forEach(([field, ref])=>{
+        const v = o[field];
+        if (!isDataUrl(v)) return;
+        const h = hashes.get(v);
+        media.set(h, v);
+        o[ref]   = h;
+        o[field] = null;
+      });
+      return o;
+    });
+    return { meta, media };
+  }
+
+  // remember=false for blobs under keys that aren't SHA-256 (the v4 re-key).
+  async function unpackKit(meta, blobs, remember=true){
+    const urls = new Map();
+    for (const [h, blob] of blobs){
+      const url = await blobToDataUrl(blob);
+      urls.set(h, url);
+      if (remember) mediaHashCache.set(url, h);
     }
-  };
+    return mapKitPads(meta, p=>{
+      const o = Object.assign({}, p);
+      MEDIA_FIELDS.forEach(([field, ref])=>{
+        if (!o[ref]) return;
+        o[field] = urls.get(o[ref]) || null;
+        delete o[ref];
+      });
+      return o;
+    });
+  }
 
-  /* ========= Local library (IndexedDB with localStorage fallback) ========= */
-  const LS_KEY = 'medpad.kits.v3';
-  const KIT_DB_NAME = 'aac_sound_board_kits';
-  const KIT_DB_STORE = 'kits';
+  // Write a record and the media it references in one transaction. Each hash is
+  // checked inside it, so only new bytes get decoded and stored, and a gcMedia
+  // (which also locks MEDIA_STORE) can't delete one between check and write.
+  async function putPacked(db, storeName, record, data){
+    const { meta, media } = await packKit(data);   // before the transaction: hashing is async
+    return new Promise((resolve, reject)=>{
+      const tx = db.transaction([storeName, MEDIA_STORE], 'readwrite');
+      const ms = tx.objectStore(MEDIA_STORE);
+      media.forEach((url, hash)=>{
+        const c = ms.count(hash);
+        c.onsuccess = ()=>{ if (!c.result) ms.put({ hash, blob: dataUrlToBlob(url), ts: Date.now() }); };
+      });
+      tx.objectStore(storeName).put(Object.assign({}, record, { data: meta, media: Array.from(media.keys()) }));
+      tx.oncomplete = ()=> resolve();
+      tx.onerror    = ()=> reject(tx.error);
+      tx.onabort    = ()=> reject(tx.error);
+    });
+  }
 
-  function loadLibLS(){
-    try{ return JSON.parse(localStorage.getItem(LS_KEY) || '{}'); }
-    catch(_){ return {}; }
+  // Read one record and the Blobs it references in a single transaction.
+  function getPacked(db, storeName, key){
+    return new Promise((resolve, reject)=>{
+      const tx    = db.transaction([storeName, MEDIA_STORE], 'readonly');
+      const req   = tx.objectStore(storeName).get(key);
+      const blobs = new Map();
+      req.onsuccess = function(){
+        const row = req.result;
+        if (!row) return;
+        (row.media || []).forEach(h=>{
+          const r = tx.objectStore(MEDIA_STORE).get(h);
+          r.onsuccess = ()=>{ if (r.result) blobs.set(h, r.result.blob); };
+        });
+      };
+      tx.oncomplete = async function(){
+        const row = req.result;
+        if (!row || !row.data) return resolve(row || null);
+        try{ resolve(Object.assign({}, row, { data: await unpackKit(row.data, blobs) })); }
+        catch(e){ reject(e); }
+      };
+      tx.onerror = function(){ reject(tx.error); };
+    });
   }
 
-  function saveLibLS(obj){
-    try{ localStorage.setItem(LS_KEY, JSON.stringify(obj)); }
-    catch(_){}
+  // Drop media no kit or session slot references any more.
+  function gcMedia(db){
+    return new Promise((resolve, reject)=>{
+      const tx   = db.transaction([KIT_DB_STORE, SESSION_STORE, MEDIA_STORE], 'readwrite');
+      const used = new Set();
+      let pending = 2;
+      [KIT_DB_STORE, SESSION_STORE].forEach(name=>{
+        const r = tx.objectStore(name).openCursor();
+        r.onsuccess = function(){
+          const cur = r.result;
+          if (cur){
+            (cur.value.media || []).forEach(h => used.add(h));
+            cur.continue();
+            return;
+          }
+          if (--pending) return;
+          const ms = tx.objectStore(MEDIA_STORE);
+          const k  = ms.getAllKeys();
+          k.onsuccess = ()=> k.result.forEach(h=>{
+            if (used.has(h)) return;
+            ms.delete(h);
+          });
+        };
+      });
+      tx.oncomplete = ()=> resolve();
+      tx.onerror    = ()=> reject(tx.error);
+    });
   }
 
-  function hasIndexedDB(){
-    return typeof indexedDB !== 'undefined';
+  // Upgrade from v1–v3: collect every kit/session record (and v3's media) in
+  // the upgrade transaction. Hashing is async and would let that transaction
+  // close, so rekeyMedia rewrites them once the database is open.
+  function readLegacy(tx, oldVersion){
+    const legacy = { rows: [], blobs: new Map() };
+    [KIT_DB_STORE, SESSION_STORE].forEach(name=>{
+      const r = tx.objectStore(name).getAll();
+      r.onsuccess = ()=> r.result.forEach(row => legacy.rows.push({ store: name, row }));
+    });
+    if (oldVersion >= 3){
+      const m = tx.objectStore(MEDIA_STORE).getAll();
+      m.onsuccess = ()=> m.result.forEach(e => legacy.blobs.set(e.hash, e.blob));
+    }
+    return legacy;
+  }
+
+  // v1/v2 records still hold data URLs; v3 ones point at the old 64-bit keys.
+  // Repack both under SHA-256 keys, then let gcMedia drop the v3 entries.
+  async function rekeyMedia(db, legacy){
+    for (const { store, row } of legacy.rows){
+      if (!row || !row.data) continue;
+      try{
+        const data = row.media ? await unpackKit(row.data, legacy.blobs, false) : row.data;
+        await putPacked(db, store, row, data);
+      }catch(err){
+        console.error('media re-key failed', store, err);
+      }
+    }
+    await gcMedia(db);
   }
 
   let kitDbPromise = null;
@@ -1683,33 +5608,49 @@ Created by Scott Russo.
 
     kitDbPromise = new Promise((resolve)=>{
       let opened = false;
-      const req = indexedDB.open(KIT_DB_NAME, 1);
+      let legacy = null;
+      const req = indexedDB.open(KIT_DB_NAME, KIT_DB_VERSION);
 
-      req.onupgradeneeded = function(){
+      req.onupgradeneeded = function(e){
         const db = req.result;
         if (!db.objectStoreNames.contains(KIT_DB_STORE)){
           db.createObjectStore(KIT_DB_STORE, { keyPath: 'name' });
         }
+        // v2: autosaved session slots ("current", "previous")
+        if (!db.objectStoreNames.contains(SESSION_STORE)){
+          db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+        }
+        // v3: content-hashed media Blobs, referenced from kit/session records
+        // v4: media keyed by SHA-256 (fallbackHash without crypto.subtle)
+        if (!db.objectStoreNames.contains(MEDIA_STORE)){
+          db.createObjectStore(MEDIA_STORE, { keyPath: 'hash' });
+        }
+        if (e.oldVersion > 0 && e.oldVersion < 4){
+          try{
+            legacy = readLegacy(req.transaction, e.oldVersion);
+          }catch(err){
+            console.error('media migration failed', err);
+          }
+        }
       };
 
-      req.onsuccess = function(){
+      req.onsuccess = async function(){
         opened = true;
         const db = req.result;
 
+        if (legacy){
+          await rekeyMedia(db, legacy).catch(err => console.error('media re-key failed', err));
+        }
+
         // One-time migration from localStorage, if present
         try{
           const raw = localStorage.getItem(LS_KEY);
           if (raw){
             const parsed = JSON.parse(raw);
-            const names = Object.keys(parsed || {});
-            if (names.length){
-              const tx = db.transaction(KIT_DB_STORE, 'readwrite');
-              const store = tx.objectStore(KIT_DB_STORE);
-              names.forEach(name=>{
-                store.put({ name, data: parsed[name], migrated: true, ts: Date.now() });
-              });
-              tx.oncomplete = ()=>{ try{ localStorage.removeItem(LS_KEY); }catch(_){ } };
+            for (const name of Object.keys(parsed || {})){
+              await putPacked(db, KIT_DB_STORE, { name, migrated: true, ts: Date.now() }, parsed[name] || {});
             }
+            localStorage.removeItem(LS_KEY);
           }
         }catch(_){}
 
@@ -1731,16 +5672,13 @@ Created by Scott Russo.
     return kitDbPromise;
   }
 
-  async function kitDbGetAll(){
+  // Kit names only — keys, so no kit data (let alone audio) is read.
+  async function kitDbNames(){
     const db = await getKitDb();
-    if (!db){
-      const store = loadLibLS();
-      return Object.keys(store).map(name => ({ name, data: store[name] }));
-    }
+    if (!db) return Object.keys(loadLibLS());
     return new Promise((resolve, reject)=>{
-      const tx = db.transaction(KIT_DB_STORE, 'readonly');
-      const store = tx.objectStore(KIT_DB_STORE);
-      const req = store.getAll();
+      const tx  = db.transaction(KIT_DB_STORE, 'readonly');
+      const req = tx.objectStore(KIT_DB_STORE).getAllKeys();
       req.onsuccess = function(){
         resolve(req.result || []);
       };
@@ -1756,18 +5694,8 @@ Created by Scott Russo.
       const store = loadLibLS();
       return store[name] || null;
     }
-    return new Promise((resolve, reject)=>{
-      const tx = db.transaction(KIT_DB_STORE, 'readonly');
-      const store = tx.objectStore(KIT_DB_STORE);
-      const req = store.get(name);
-      req.onsuccess = function(){
-        const row = req.result;
-        resolve(row ? (row.data || null) : null);
-      };
-      req.onerror = function(){
-        reject(req.error);
-      };
-    });
+    const row = await getPacked(db, KIT_DB_STORE, name);
+    return row ? (row.data || null) : null;
   }
 
   async function kitDbPut(name, data){
@@ -1778,13 +5706,8 @@ Created by Scott Russo.
       saveLibLS(store);
       return;
     }
-    return new Promise((resolve, reject)=>{
-      const tx = db.transaction(KIT_DB_STORE, 'readwrite');
-      const store = tx.objectStore(KIT_DB_STORE);
-      const req = store.put({ name, data, ts: Date.now() });
-      req.onsuccess = function(){ resolve(); };
-      req.onerror = function(){ reject(req.error); };
-    });
+    await putPacked(db, KIT_DB_STORE, { name, ts: Date.now() }, data);
+    await gcMedia(db);
   }
 
   async function kitDbDelete(name){
@@ -1795,13 +5718,13 @@ Created by Scott Russo.
       saveLibLS(store);
       return;
     }
-    return new Promise((resolve, reject)=>{
+    await new Promise((resolve, reject)=>{
       const tx = db.transaction(KIT_DB_STORE, 'readwrite');
-      const store = tx.objectStore(KIT_DB_STORE);
-      const req = store.delete(name);
-      req.onsuccess = function(){ resolve(); };
-      req.onerror = function(){ reject(req.error); };
+      tx.objectStore(KIT_DB_STORE).delete(name);
+      tx.oncomplete = function(){ resolve(); };
+      tx.onerror = function(){ reject(tx.error); };
     });
+    await gcMedia(db);
   }
 
   async function kitDbRename(oldName, newName){
@@ -1816,31 +5739,184 @@ Created by Scott Russo.
       }
       return;
     }
-    const data = await kitDbGet(oldName);
-    if (!data) return;
-    await kitDbPut(newName, data);
-    await kitDbDelete(oldName);
+    // the record only points at media, so it moves without touching audio
+    return new Promise((resolve, reject)=>{
+      const tx    = db.transaction(KIT_DB_STORE, 'readwrite');
+      const store = tx.objectStore(KIT_DB_STORE);
+      const req   = store.get(oldName);
+      req.onsuccess = function(){
+        if (!req.result) return;
+        store.put(Object.assign({}, req.result, { name: newName, ts: Date.now() }));
+        store.delete(oldName);
+      };
+      tx.oncomplete = function(){ resolve(); };
+      tx.onerror = function(){ reject(tx.error); };
+    });
+  }
+
+  /* ---- session autosave ----
+     serialize() goes to the "current" slot a moment after the last edit. At
+     boot "current" is copied to "previous" and offered back, so this tab's
+     first autosave can't overwrite the session being recovered. Saves made
+     while that offer is still unanswered carry its ts in `offered`; the next
+     boot then leaves "previous" alone and offers the same session again,
+     rather than rotating in boards the user never chose over it. */
+  const SESSION_LS_KEY = 'medpad.session.v1';
+  const AUTOSAVE_MS    = 2000;
+  const restoreSessionBtn = $('#restoreSessionBtn');
+  const dismissSessionBtn = $('#dismissSessionBtn');
+  let autosaveTimer = null;
+  let autosaving    = false;
+  let lastSession   = null;    // the session on offer, until restored or dismissed
+
+  // Slot metadata only ({id, ts, data} with media still referenced by hash).
+  async function sessionPeek(id){
+    const db = await getKitDb();
+    if (!db){
+      try{ return (JSON.parse(localStorage.getItem(SESSION_LS_KEY) || '{}'))[id] || null; }
+      catch(_){ return null; }
+    }
+    return new Promise((resolve, reject)=>{
+      const tx = db.transaction(SESSION_STORE, 'readonly');
+      const req = tx.objectStore(SESSION_STORE).get(id);
+      req.onsuccess = function(){ resolve(req.result || null); };
+      req.onerror = function(){ reject(req.error); };
+    });
+  }
+
+  async function sessionGet(id){
+    const db = await getKitDb();
+    if (!db) return sessionPeek(id);
+    return getPacked(db, SESSION_STORE, id);
+  }
+
+  async function sessionCopy(from, to){
+    const db = await getKitDb();
+    const row = await sessionPeek(from);
+    if (!row) return;
+    if (!db) return sessionPut(to, row.data, row.ts, row.offered);
+    return new Promise((resolve, reject)=>{
+      const tx = db.transaction(SESSION_STORE, 'readwrite');
+      tx.objectStore(SESSION_STORE).put(Object.assign({}, row, { id: to }));
+      tx.oncomplete = function(){ resolve(); };
+      tx.onerror = function(){ reject(tx.error); };
+    });
+  }
+
+  async function sessionPut(id, data, ts, offered=null){
+    const db = await getKitDb();
+    if (!db){
+      try{
+        const all = JSON.parse(localStorage.getItem(SESSION_LS_KEY) || '{}');
+        all[id] = { id, data, ts, offered };
+        localStorage.setItem(SESSION_LS_KEY, JSON.stringify(all));
+      }catch(_){}
+      return;
+    }
+    return putPacked(db, SESSION_STORE, { id, ts, offered }, data);
+  }
+
+  function markDirty(){
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(autosaveNow, AUTOSAVE_MS);
+  }
+
+  async function autosaveNow(){
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    if (autosaving){
+      markDirty();
+      return;
+    }
+    autosaving = true;
+    try{
+      const ts = Date.now();
+      await sessionPut('current', serialize(), ts, lastSession ? lastSession.ts : null);
+      const when = new Date(ts).toLocaleTimeString();
+      if (statusEl) statusEl.title = 'Session autosaved ' + when;
+      // don't hide a message the user may still be reading
+      if (Date.now() - statusAt > 4000) status('Saved ' + when);
+    }catch(e){
+      report('autosave', e);
+    }finally{
+      autosaving = false;
+    }
+  }
+
+  async function offerLastSession(){
+    try{
+      const cur  = await sessionPeek('current');
+      const prev = await sessionPeek('previous');
+      const unanswered = !!(cur && prev && cur.offered != null && cur.offered === prev.ts);
+      if (!unanswered && cur && cur.data && Array.isArray(cur.data.groups) && cur.data.groups.length){
+        await sessionCopy('current', 'previous');
+        lastSession = cur;
+      }else{
+        lastSession = prev;
+      }
+      // sweep media orphaned by earlier autosaves now both slots are settled
+      const db = await getKitDb();
+      if (db) await gcMedia(db);
+      if (!lastSession || !restoreSessionBtn) return;
+      restoreSessionBtn.textContent = 'Restore last session (' + new Date(lastSession.ts).toLocaleString() + ')';
+      restoreSessionBtn.style.display = '';
+      if (dismissSessionBtn) dismissSessionBtn.style.display = '';
+    }catch(e){
+      report('sessionCheck', e);
+    }
+  }
+
+  if (restoreSessionBtn) restoreSessionBtn.onclick = async ()=>{
+    if (!lastSession) return;
+    if (App.groups.length && !confirm('Replace the current boards with the last session?')) return;
+    try{
+      const row = await sessionGet('previous');
+      if (!row || !row.data) throw new Error('saved session is no longer available');
+      await deserialize(row.data, 'Restored session from ' + new Date(row.ts).toLocaleString());
+      closeSessionOffer();
+    }catch(e){
+      report('sessionRestore', e);
+    }
+  };
+
+  // Answered either way: later autosaves are this tab's own session.
+  function closeSessionOffer(){
+    lastSession = null;
+    restoreSessionBtn.style.display = 'none';
+    if (dismissSessionBtn) dismissSessionBtn.style.display = 'none';
   }
 
+  if (dismissSessionBtn) dismissSessionBtn.onclick = ()=>{
+    closeSessionOffer();
+    markDirty();
+    status('Kept the current boards');
+  };
+
+  document.addEventListener('input', markDirty, true);
+  document.addEventListener('change', markDirty, true);
+  window.addEventListener('pagehide', ()=>{ if (autosaveTimer) autosaveNow(); });
+  document.addEventListener('visibilitychange', ()=>{
+    if (document.visibilityState === 'hidden' && autosaveTimer) autosaveNow();
+  });
+
   async function refreshKitList(){
     kitList.innerHTML = '';
     try{
-      const entries = await kitDbGetAll();
-      if (!entries || !entries.length){
+      const names = await kitDbNames();
+      if (!names || !names.length){
         kitList.innerHTML = '<div class="muted small">No kits saved.</div>';
         return;
       }
 
-      const sorted = entries.slice().sort((a,b)=>{
-        const an = (a.name || '').toLowerCase();
-        const bn = (b.name || '').toLowerCase();
+      const sorted = names.slice().sort((a,b)=>{
+        const an = String(a || '').toLowerCase();
+        const bn = String(b || '').toLowerCase();
         if (an < bn) return -1;
         if (an > bn) return 1;
         return 0;
       });
 
-      sorted.forEach(entry=>{
-        const name = entry.name;
+      sorted.forEach(name=>{
         const card = document.createElement('div');
         card.style.cssText = 'border:1px solid var(--line);border-radius:10px;padding:10px;background:#0f1519;display:flex;gap:8px;align-items:center;flex-wrap:wrap';
 
@@ -1864,9 +5940,8 @@ Created by Scott Russo.
           try{
             const data = await kitDbGet(name);
             if (!data) return;
-            await deserialize(data);
+            await deserialize(data, 'Loaded kit: ' + name);
             kitNameInp.value = name;
-            status('Loaded kit: ' + name);
           }catch(e){
             report('kitLoad', e);
           }
@@ -1922,13 +5997,24 @@ Created by Scott Russo.
     }
   };
 
-  kitExportBtn.onclick = ()=>{
+  kitExportBtn.onclick = async ()=>{
     const name = (kitNameInp.value || '').trim() || 'exported_kit';
-    const blob = new Blob([JSON.stringify(serialize())], {type:'application/json'});
-    const a    = document.createElement('a');
-    a.href     = URL.createObjectURL(blob);
-    a.download = name + '.json';
-    a.click();
+    try{
+      await downloadBundle(serialize(), name);
+    }catch(e){
+      report('kitExport', e);
+    }
+  };
+
+  const kitExportObz = $('#kitExportObz');
+  if (kitExportObz) kitExportObz.onclick = async ()=>{
+    const name = (kitNameInp.value || '').trim() || 'exported_kit';
+    try{
+      await exportObz(name);
+      status(`Exported ${App.groups.length} boards as OBZ`);
+    }catch(e){
+      report('exportObz', e);
+    }
   };
 
   kitImportBtn.onclick = ()=> kitImportFile.click();
@@ -1937,14 +6023,14 @@ Created by Scott Russo.
     const f = kitImportFile.files[0];
     if (!f) return;
     try{
-      const txt = await f.text();
-      const obj = JSON.parse(txt);
-      if (obj && obj.type === 'medpad-group' && obj.group){
-        await importGroupFromJson(obj.group, true);
-        status('Imported group as new board');
+      const problems = [];
+      const obj = await readKitFile(f, problems);
+      if (obj && obj.type === 'open-board'){
+        await importObf(obj.boards, obj.files);
+      }else if (obj && obj.type === 'medpad-group'){
+        await importGroupFromJson(obj, true, 'Imported group as new board', problems);
       }else{
-        await deserialize(obj);
-        status('Imported kit file');
+        await deserialize(obj, 'Imported kit file', problems);
       }
     }catch(e){
       report('kitImport', e);
@@ -1953,11 +6039,406 @@ Created by Scott Russo.
     }
   };
 
+  /* ========= switch scanning ========= */
+  // Board → row → pad (or sentence bar → action). Auto mode steps on a timer
+  // and one switch selects; step mode uses one switch to move, one to select.
+  const SCAN_MAX_PASSES = 2;
+  const SCAN_ACTIONS = [
+    { id:'play',  label:'Play',      run: ()=> sentencePlayBtn.onclick() },
+    { id:'back',  label:'Backspace', run: ()=> sentenceBackBtn.onclick() },
+    { id:'clear', label:'Clear',     run: ()=> sentenceClearBtn.onclick() }
+  ];
+
+  const scanToggleBtn    = $('#scanToggleBtn');
+  const scanModeSel      = $('#scanMode');
+  const scanIntervalInp  = $('#scanInterval');
+  const scanCuesSel      = $('#scanCues');
+  const scanSelectKeyBtn = $('#scanSelectKeyBtn');
+  const scanStepKeyBtn   = $('#scanStepKeyBtn');
+
+  const scanState = { depth:0, items:[], pos:-1, passes:0, timer:null };
+
+  function scanTopItems(){
+    const items = App.groups
+      .filter(g => App.visible.has(g.id))
+      .map(g => ({ kind:'board', gid:g.id, label:g.name }));
+    items.push({ kind:'sentence', label:'Sentence' });
+    return items;
+  }
+
+  function scanRowItems(g){
+    const out = [];
+    for (let r=0;r<g.rows && r*g.cols<g.pads.length;r++){
+      out.push({ kind:'row', gid:g.id, row:r, label:'Row ' + (r+1) });
+    }
+    return out;
+  }
+
+  function scanPadItems(g, r){
+    const out = [];
+    for (let i=r*g.cols;i<Math.min(g.pads.length, (r+1)*g.cols);i++){
+      const p = g.pads[i];
+      out.push({ kind:'pad', gid:g.id, idx:i, label:(p.phrase && p.phrase.trim()) || p.name });
+    }
+    return out;
+  }
+
+  function padGridEl(gid){
+    return $$('.padgrid', boardsWrap).find(pg => pg.dataset.groupId === gid) || null;
+  }
+
+  function scanEls(it){
+    if (it.kind === 'board'){
+      const b = $$('.board', boardsWrap).find(x => x.dataset.groupId === it.gid);
+      return b ? [b] : [];
+    }
+    if (it.kind === 'row' || it.kind === 'pad'){
+      const grid = padGridEl(it.gid);
+      const g    = App.groups.find(x => x.id === it.gid);
+      if (!grid || !g) return [];
+      if (it.kind === 'pad') return grid.children[it.idx] ? [grid.children[it.idx]] : [];
+      return Array.from(grid.children).slice(it.row * g.cols, (it.row + 1) * g.cols);
+    }
+    if (it.kind === 'sentence') return [$('#sentenceBar')].filter(Boolean);
+    if (it.kind === 'action'){
+      const btn = { play: sentencePlayBtn, back: sentenceBackBtn, clear: sentenceClearBtn }[it.id];
+      return btn ? [btn] : [];
+    }
+    return [];
+  }
+
+  function scanPaint(){
+    $$('.scan-hl').forEach(el => el.classList.remove('scan-hl'));
+    const it = scanState.items[scanState.pos];
+    if (!it) return;
+    const els = scanEls(it);
+    els.forEach(el => el.classList.add('scan-hl'));
+    if (els[0] && els[0].scrollIntoView) els[0].scrollIntoView({block:'nearest', inline:'nearest'});
+  }
+
+  function scanCue(it){
+    if (App.scan.cues === 'off') return;
+    if (App.scan.cues === 'sample' && it.kind === 'pad'){
+      const g = App.groups.find(x => x.id === it.gid);
+      const p = g && g.pads[it.idx];
+      if (p && p.buffer){
+        triggerRetrigger(p, 0.7);
+        return;
+      }
+    }
+    ttsSpeak(it.label, 0, it.kind === 'pad' ? ttsOptsForPad(App.groups.find(x => x.id === it.gid).pads[it.idx]) : {});
+  }
+
+  function scanEnter(depth, items){
+    scanState.depth  = depth;
+    scanState.items  = items;
+    scanState.pos    = -1;
+    scanState.passes = 0;
+    scanStep();
+  }
+
+  function scanReset(){
+    scanEnter(0, scanTopItems());
+  }
+
+  function scanStep(){
+    if (!App.scan.enabled) return;
+    if (!scanState.items.length){
+      if (scanState.depth) scanReset();
+      return;
+    }
+    scanState.pos++;
+    if (scanState.pos >= scanState.items.length){
+      scanState.pos = 0;
+      scanState.passes++;
+      // nothing picked after a few passes: climb back out to the boards
+      if (scanState.depth > 0 && scanState.passes >= SCAN_MAX_PASSES){
+        scanReset();
+        return;
+      }
+    }
+    scanPaint();
+    scanCue(scanState.items[scanState.pos]);
+  }
+
+  function scanSelect(){
+    const it = scanState.items[scanState.pos];
+    if (!it){
+      scanStep();
+      return;
+    }
+    const g = it.gid ? App.groups.find(x => x.id === it.gid) : null;
+    if (it.kind === 'board' && g){
+      const rows = scanRowItems(g);
+      if (rows.length === 1) scanEnter(2, scanPadItems(g, 0));
+      else scanEnter(1, rows);
+    }else if (it.kind === 'row' && g){
+      scanEnter(2, scanPadItems(g, it.row));
+    }else if (it.kind === 'sentence'){
+      seqPanel.classList.add('show');
+      scanEnter(1, SCAN_ACTIONS.map(a => ({ kind:'action', id:a.id, label:a.label })));
+    }else if (it.kind === 'pad'){
+      onPadPress(it.gid, it.idx, 1.0);
+      scanReset();
+    }else if (it.kind === 'action'){
+      const a = SCAN_ACTIONS.find(x => x.id === it.id);
+      if (a) a.run();
+      scanReset();
+    }else{
+      scanReset();
+    }
+    scanRestartTimer();
+  }
+
+  function scanRestartTimer(){
+    if (scanState.timer){
+      clearInterval(scanState.timer);
+      scanState.timer = null;
+    }
+    if (App.scan.enabled && App.scan.mode === 'auto'){
+      scanState.timer = setInterval(scanStep, Math.max(300, App.scan.interval | 0));
+    }
+  }
+
+  function setScanning(on){
+    App.scan.enabled = !!on;
+    if (App.scan.enabled){
+      scanReset();
+    }else{
+      $$('.scan-hl').forEach(el => el.classList.remove('scan-hl'));
+      scanState.items = [];
+      scanState.pos   = -1;
+    }
+    scanRestartTimer();
+    renderScanUi();
+    status(App.scan.enabled ? 'Scanning on' : 'Scanning off');
+  }
+
+  // Switch presses are consumed before the key map sees them.
+  function scanHandleKey(e){
+    if (!App.scan.enabled) return false;
+    if (e.code === App.scan.selectKey){
+      e.preventDefault();
+      if (!e.repeat) scanSelect();
+      return true;
+    }
+    if (App.scan.mode === 'step' && e.code === App.scan.stepKey){
+      e.preventDefault();
+      scanStep();
+      return true;
+    }
+    return false;
+  }
+
+  function renderScanUi(){
+    if (!scanToggleBtn) return;
+    scanToggleBtn.textContent = 'Scanning: ' + (App.scan.enabled ? 'On' : 'Off');
+    scanToggleBtn.setAttribute('aria-pressed', App.scan.enabled ? 'true' : 'false');
+    scanModeSel.value     = App.scan.mode;
+    scanIntervalInp.value = String(App.scan.interval);
+    scanCuesSel.value     = App.scan.cues;
+    scanSelectKeyBtn.textContent = 'Select switch: ' + (keyCapture === 'scan:selectKey' ? 'press a key…' : codeLabel(App.scan.selectKey));
+    scanStepKeyBtn.textContent   = 'Step switch: '   + (keyCapture === 'scan:stepKey'   ? 'press a key…' : codeLabel(App.scan.stepKey));
+  }
+
+  function sanitizeScan(src){
+    const d = { enabled:false, mode:'auto', interval:1500, cues:'off', selectKey:'Space', stepKey:'Enter' };
+    if (!src || typeof src !== 'object') return d;
+    return {
+      enabled  : !!src.enabled,
+      mode     : src.mode === 'step' ? 'step' : 'auto',
+      interval : Math.max(300, Math.min(10000, Number(src.interval) || d.interval)),
+      cues     : ['off','tts','sample'].includes(src.cues) ? src.cues : 'off',
+      selectKey: typeof src.selectKey === 'string' && src.selectKey ? src.selectKey : d.selectKey,
+      stepKey  : typeof src.stepKey === 'string' && src.stepKey ? src.stepKey : d.stepKey
+    };
+  }
+
+  function applyScanSettings(src){
+    const next = sanitizeScan(src);
+    const on   = next.enabled;
+    App.scan   = Object.assign(next, { enabled:false });
+    setScanning(on);
+  }
+
+  if (scanToggleBtn){
+    scanToggleBtn.onclick = ()=> setScanning(!App.scan.enabled);
+    scanModeSel.onchange = ()=>{
+      App.scan.mode = scanModeSel.value === 'step' ? 'step' : 'auto';
+      scanRestartTimer();
+    };
+    scanIntervalInp.onchange = ()=>{
+      App.scan.interval = Math.max(300, Math.min(10000, Number(scanIntervalInp.value) || 1500));
+      scanIntervalInp.value = String(App.scan.interval);
+      scanRestartTimer();
+    };
+    scanCuesSel.onchange = ()=>{ App.scan.cues = scanCuesSel.value; };
+    scanSelectKeyBtn.onclick = ()=>{
+      keyCapture = keyCapture === 'scan:selectKey' ? null : 'scan:selectKey';
+      renderScanUi();
+    };
+    scanStepKeyBtn.onclick = ()=>{
+      keyCapture = keyCapture === 'scan:stepKey' ? null : 'scan:stepKey';
+      renderScanUi();
+    };
+  }
+
+  /* ========= computer keyboard ========= */
+  // App.keymap: KeyboardEvent.code → action. "cell:r:c" plays the pad at that
+  // row/column of the focused board, so the QWERTY block mirrors the grid.
+  const KEY_ROWS = [
+    ['KeyQ','KeyW','KeyE','KeyR','KeyT','KeyY','KeyU','KeyI','KeyO','KeyP'],
+    ['KeyA','KeyS','KeyD','KeyF','KeyG','KeyH','KeyJ','KeyK','KeyL','Semicolon'],
+    ['KeyZ','KeyX','KeyC','KeyV','KeyB','KeyN','KeyM','Comma','Period','Slash']
+  ];
+  const KEY_TRANSPORT = [
+    { id:'play', label:'Play / Stop' },
+    { id:'back', label:'Backspace' },
+    { id:'stop', label:'Stop All' },
+    { id:'navback', label:'Board back' },
+    { id:'navhome', label:'Board home' }
+  ];
+  const CODE_LABELS = {
+    Space:'Space', Backspace:'⌫', Escape:'Esc', Enter:'Enter', Tab:'Tab',
+    Semicolon:';', Comma:',', Period:'.', Slash:'/', Quote:"'", Minus:'-', Equal:'=',
+    BracketLeft:'[', BracketRight:']', Backslash:'\\', Backquote:'`',
+    ArrowUp:'↑', ArrowDown:'↓', ArrowLeft:'←', ArrowRight:'→'
+  };
+  const KEY_ACTION_RE = /^(play|back|stop|navback|navhome|scene:\d+|cell:\d+:\d+)$/;
+
+  const keysPanel      = $('#keysPanel');
+  const toggleKeysBtn  = $('#toggleKeysBtn');
+  const keysActionsEl  = $('#keysActions');
+  const keysCellsEl    = $('#keysCells');
+  const keysResetBtn   = $('#keysResetBtn');
+
+  let keyCapture = null;   // action id waiting for its new key
+
+  function defaultKeymap(){
+    const m = { Space:'play', Backspace:'back', Escape:'stop' };
+    for (let i=0;i<SCENE_COUNT;i++) m['Digit' + (i+1)] = 'scene:' + i;
+    KEY_ROWS.forEach((row, r)=> row.forEach((code, c)=>{ m[code] = `cell:${r}:${c}`; }));
+    return m;
+  }
+
+  function sanitizeKeymap(src){
+    const out = {};
+    if (!src || typeof src !== 'object') return out;
+    for (const [code, action] of Object.entries(src)){
+      if (typeof action === 'string' && KEY_ACTION_RE.test(action)) out[code] = action;
+    }
+    return out;
+  }
+
+  function codeLabel(code){
+    if (CODE_LABELS[code]) return CODE_LABELS[code];
+    return code.replace(/^(Key|Digit|Numpad)/, '');
+  }
+
+  function keysForAction(action){
+    return Object.keys(App.keymap).filter(c => App.keymap[c] === action);
+  }
+
+  function bindKey(code, action){
+    for (const c of keysForAction(action)) delete App.keymap[c];
+    if (code) App.keymap[code] = action;
+  }
+
+  function focusedGroup(){
+    return App.groups.find(g => g.id === App.focusGid && App.visible.has(g.id))
+      || App.groups.find(g => App.visible.has(g.id))
+      || null;
+  }
+
+  function runKeyAction(action){
+    if (action === 'play') sentencePlayBtn.onclick();
+    else if (action === 'back') sentenceBackBtn.onclick();
+    else if (action === 'stop') stopAllBtn.onclick();
+    else if (action === 'navback') navBack();
+    else if (action === 'navhome') navHome();
+    else if (action.startsWith('scene:')){
+      const btn = sceneBtns[Number(action.slice(6))];
+      if (btn) btn.onclick();
+    }else if (action.startsWith('cell:')){
+      const [r, c] = action.slice(5).split(':').map(Number);
+      const g = focusedGroup();
+      if (!g || r >= g.rows || c >= g.cols) return;
+      onPadPress(g.id, r * g.cols + c, 1.0);
+    }
+  }
+
+  function keyButton(action, label){
+    const b = document.createElement('button');
+    b.className = 'btn small';
+    const keys = keysForAction(action).map(codeLabel).join(', ') || '—';
+    b.textContent = keyCapture === action ? `${label}: press a key… (Del = none)` : `${label}: ${keys}`;
+    b.setAttribute('aria-pressed', keyCapture === action ? 'true' : 'false');
+    b.onclick = ()=>{
+      keyCapture = keyCapture === action ? null : action;
+      renderKeymap();
+    };
+    return b;
+  }
+
+  function renderKeymap(){
+    if (!keysActionsEl || !keysCellsEl) return;
+    keysActionsEl.innerHTML = '';
+    keysCellsEl.innerHTML = '';
+    KEY_TRANSPORT.forEach(a => keysActionsEl.appendChild(keyButton(a.id, a.label)));
+    sceneLabels.forEach((lab, i)=> keysActionsEl.appendChild(keyButton('scene:' + i, 'Scene ' + lab)));
+    KEY_ROWS.forEach((row, r)=> row.forEach((_, c)=>{
+      keysCellsEl.appendChild(keyButton(`cell:${r}:${c}`, `R${r+1}C${c+1}`));
+    }));
+  }
+
+  function isTypingTarget(el){
+    if (!el) return false;
+    const tag = el.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || el.isContentEditable;
+  }
+
+  document.addEventListener('keydown', (e)=>{
+    if (keyCapture){
+      e.preventDefault();
+      if (keyCapture.startsWith('scan:')){
+        App.scan[keyCapture.slice(5)] = e.code;
+        keyCapture = null;
+        renderScanUi();
+        return;
+      }
+      bindKey(e.code === 'Delete' ? null : e.code, keyCapture);
+      keyCapture = null;
+      renderKeymap();
+      return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (isTypingTarget(e.target)) return;
+    if (scanHandleKey(e) || e.repeat) return;
+    const action = App.keymap[e.code];
+    if (!action) return;
+    e.preventDefault();
+    runKeyAction(action);
+  });
+
+  if (toggleKeysBtn) toggleKeysBtn.onclick = ()=>{
+    keysPanel.classList.toggle('show');
+    renderKeymap();
+    renderScanUi();
+  };
+  if (keysResetBtn) keysResetBtn.onclick = ()=>{
+    App.keymap = defaultKeymap();
+    keyCapture = null;
+    renderKeymap();
+    status('Key map reset to defaults');
+  };
+
   /* ========= boot ========= */
   function initDefaults(){
+    clearHistory();
     App.groups.length = 0;
     App.visible.clear();
     App.editGid = null;
+    App.keymap = defaultKeymap();
   }
 
   function init(){
@@ -1966,11 +6447,14 @@ Created by Scott Russo.
       renderGroupList();
       renderBoards();
 
+      renderTtsUi();
+      renderAudioSaveUi();
       ensureScene(0);
       setScene(0);
       renderChain();
       refreshKitList();
       setCompose(false);
+      offerLastSession();
       status('ready');
       window.__MEDPAD_READY = true;
     }catch(e){